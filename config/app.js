@@ -1,7 +1,21 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Store profiles live in config/stores.json (or STORES_CONFIG); without it,
+// a single store is configured from the .env variables
+const storesConfigPath = process.env.STORES_CONFIG || path.join(__dirname, 'stores.json');
+const hasStoresFile = fs.existsSync(storesConfigPath);
+
+// Order routing rules live in config/routing-rules.json (or ROUTING_RULES_CONFIG)
+const routingRulesPath = process.env.ROUTING_RULES_CONFIG || path.join(__dirname, 'routing-rules.json');
 
 // Configuration validation helper
 function validateConfig() {
+    if (hasStoresFile) {
+        return;
+    }
+    
     const requiredVars = [
         'SQUARESPACE_API_KEY',
         'SQUARESPACE_WEBSITE_ID', 
@@ -29,36 +43,266 @@ function parseIntWithDefault(value, defaultValue) {
     return isNaN(parsed) ? defaultValue : parsed;
 }
 
+// Helper function to parse a count that must be at least 1; anything else stops the process
+function parsePositiveIntWithDefault(name, defaultValue) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') {
+        return defaultValue;
+    }
+    const parsed = Number(value.trim());
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        console.error(`❌ ${name} must be a whole number of at least 1, not '${value}'`);
+        process.exit(1);
+    }
+    return parsed;
+}
+
 // Helper function to parse float with default
 function parseFloatWithDefault(value, defaultValue) {
     const parsed = parseFloat(value);
     return isNaN(parsed) ? defaultValue : parsed;
 }
 
+// Parses 'category:rate' pairs separated by commas, e.g. 'reduced:0.13,zero:0'.
+// Unparseable rates are kept as NaN so the tax engine can report them.
+function parseRatesWithDefault(value, defaultValue) {
+    if (!value) {
+        return defaultValue;
+    }
+    const rates = {};
+    for (const pair of value.split(',').map(entry => entry.trim()).filter(Boolean)) {
+        const [category, rate] = pair.split(':').map(part => part.trim());
+        rates[category.toLowerCase()] = rate === undefined || rate === '' ? NaN : Number(rate);
+    }
+    return rates;
+}
+
+// Parses a comma separated list, e.g. 'subtotal,grandTotal'
+function parseListWithDefault(value, defaultValue) {
+    if (!value) {
+        return defaultValue;
+    }
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Builds a scheduled job's settings from <PREFIX>_SCHEDULE (cron expression),
+// <PREFIX>_TIMEZONE and <PREFIX>_ENABLED, falling back to SCHEDULE_TIMEZONE
+function scheduleFromEnv(prefix, defaultExpression, defaultEnabled) {
+    const enabled = process.env[`${prefix}_ENABLED`];
+    return {
+        expression: process.env[`${prefix}_SCHEDULE`] || defaultExpression,
+        timezone: process.env[`${prefix}_TIMEZONE`] || process.env.SCHEDULE_TIMEZONE || 'Europe/Athens',
+        enabled: enabled === undefined || enabled === '' ? defaultEnabled : enabled === 'true'
+    };
+}
+
+// Builds a store profile, falling back to the .env values for anything not set
+function normalizeStore(profile) {
+    return {
+        id: profile.id,
+        name: profile.name || profile.shopName || profile.id,
+        squarespaceApiKey: profile.squarespaceApiKey,
+        squarespaceWebsiteId: profile.squarespaceWebsiteId,
+        squarespaceApiBaseUrl: profile.squarespaceApiBaseUrl || process.env.SQUARESPACE_API_BASE_URL || 'https://api.squarespace.com/1.0/',
+        squarespaceWebhookSecret: profile.squarespaceWebhookSecret || '',
+        shopName: profile.shopName,
+        shopAddress: profile.shopAddress,
+        shopPhone: profile.shopPhone || '',
+        shopEmail: profile.shopEmail,
+        shopLogoUrl: profile.shopLogoUrl || '',
+        shopRegistration1: profile.shopRegistration1 || '',
+        shopRegistration2: profile.shopRegistration2 || '',
+        template: profile.template || 'invoice-template.html',
+        printerName: profile.printerName || process.env.PRINTER_NAME || 'Default Printer',
+        printCopies: parseIntWithDefault(profile.printCopies, parseIntWithDefault(process.env.PRINT_COPIES, 1)),
+        invoicePrefix: profile.invoicePrefix || '',
+        // Orders keep their plain order number as key, like the single-store setup
+        legacyOrderKeys: profile.id === 'default' || profile.legacyOrderKeys === true
+    };
+}
+
+// Loads and validates the store profiles
+function loadStores() {
+    if (!hasStoresFile) {
+        return [normalizeStore({
+            id: 'default',
+            name: process.env.SHOP_NAME,
+            squarespaceApiKey: process.env.SQUARESPACE_API_KEY,
+            squarespaceWebsiteId: process.env.SQUARESPACE_WEBSITE_ID,
+            squarespaceWebhookSecret: process.env.SQUARESPACE_WEBHOOK_SECRET,
+            shopName: process.env.SHOP_NAME,
+            shopAddress: process.env.SHOP_ADDRESS,
+            shopPhone: process.env.SHOP_PHONE,
+            shopEmail: process.env.SHOP_EMAIL,
+            shopLogoUrl: process.env.SHOP_LOGO_URL,
+            shopRegistration1: process.env.SHOP_REGISTRATION_1,
+            shopRegistration2: process.env.SHOP_REGISTRATION_2
+        })];
+    }
+    
+    let profiles;
+    try {
+        profiles = JSON.parse(fs.readFileSync(storesConfigPath, 'utf-8'));
+    } catch (error) {
+        console.error(`❌ Could not read store profiles from ${storesConfigPath}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    if (!Array.isArray(profiles) || profiles.length === 0) {
+        console.error(`❌ ${storesConfigPath} must contain a non-empty array of store profiles`);
+        process.exit(1);
+    }
+    
+    const requiredFields = ['id', 'squarespaceApiKey', 'squarespaceWebsiteId', 'shopName', 'shopAddress', 'shopEmail'];
+    const errors = [];
+    
+    profiles.forEach((profile, index) => {
+        const missing = requiredFields.filter(field => !profile[field]);
+        if (missing.length > 0) {
+            errors.push(`Store ${profile.id || `#${index + 1}`} is missing: ${missing.join(', ')}`);
+        }
+        if (profile.id && !/^[\w-]+$/.test(profile.id)) {
+            errors.push(`Store id '${profile.id}' may only contain letters, digits, '-' and '_'`);
+        }
+    });
+    
+    const ids = profiles.map(profile => profile.id);
+    if (new Set(ids).size !== ids.length) {
+        errors.push('Store ids must be unique');
+    }
+    
+    // Each store needs its own numbering series so invoice numbers never collide
+    const prefixes = profiles.map(profile => profile.invoicePrefix || '');
+    if (profiles.length > 1 && new Set(prefixes).size !== prefixes.length) {
+        errors.push('Each store needs a distinct invoicePrefix');
+    }
+    
+    // Plain order keys can only belong to one store
+    const legacyStores = profiles.filter(profile => profile.id === 'default' || profile.legacyOrderKeys === true);
+    if (legacyStores.length > 1) {
+        errors.push(`Only one store can use legacy order keys, not ${legacyStores.map(profile => profile.id).join(', ')}`);
+    }
+    
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        process.exit(1);
+    }
+    
+    return profiles.map(normalizeStore);
+}
+
+const stores = loadStores();
+
+const pollingIntervalMinutes = parseIntWithDefault(process.env.POLLING_INTERVAL_MINUTES, 5);
+
+// The catalog sync schedule used to be set in hours; the old variable still works until it is removed
+function catalogSyncDefaultExpression() {
+    const intervalHours = process.env.CATALOG_SYNC_INTERVAL_HOURS;
+    if (!intervalHours) {
+        return '0 */6 * * *';
+    }
+    if (process.env.CATALOG_SYNC_SCHEDULE) {
+        console.warn('⚠️  CATALOG_SYNC_INTERVAL_HOURS is deprecated and ignored because CATALOG_SYNC_SCHEDULE is set');
+        return '0 */6 * * *';
+    }
+
+    // An hour step cannot reach past midnight, so anything outside 1-23 runs daily instead
+    const hours = Number(intervalHours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 23) {
+        console.warn(`⚠️  CATALOG_SYNC_INTERVAL_HOURS must be 1-23, not '${intervalHours}'; syncing the catalog daily at midnight`);
+        console.warn('⚠️  CATALOG_SYNC_INTERVAL_HOURS is deprecated, use CATALOG_SYNC_SCHEDULE=0 0 * * * instead');
+        return '0 0 * * *';
+    }
+    const expression = `0 */${hours} * * *`;
+    console.warn(`⚠️  CATALOG_SYNC_INTERVAL_HOURS is deprecated, use CATALOG_SYNC_SCHEDULE=${expression} instead`);
+    return expression;
+}
+
 module.exports = {
+    // Store profiles (one per Squarespace site)
+    stores,
+    // The store that orders recorded with a plain order number belong to
+    legacyStoreId: (stores.find(store => store.legacyOrderKeys) || { id: 'default' }).id,
+
+    // Order routing rules file (see services/routing-rules.js)
+    routingRulesPath,
+
     // Squarespace API Configuration
     squarespaceApiKey: process.env.SQUARESPACE_API_KEY,
     squarespaceWebsiteId: process.env.SQUARESPACE_WEBSITE_ID,
     squarespaceApiBaseUrl: process.env.SQUARESPACE_API_BASE_URL,
+    squarespaceWebhookSecret: process.env.SQUARESPACE_WEBHOOK_SECRET || '',
 
     // Polling Configuration
-    pollingIntervalMinutes: parseIntWithDefault(process.env.POLLING_INTERVAL_MINUTES, 5),
+    pollingIntervalMinutes,
     maxRetries: parseIntWithDefault(process.env.MAX_RETRIES, 3),
+    syncWindowHours: parseIntWithDefault(process.env.SYNC_WINDOW_HOURS, 24),
+    maxCatchUpDays: parseIntWithDefault(process.env.MAX_CATCH_UP_DAYS, 30),
+
+    // Failed Order Retries
+    orderMaxAttempts: parseIntWithDefault(process.env.ORDER_MAX_ATTEMPTS, 5),
+    orderRetryBaseMinutes: parseIntWithDefault(process.env.ORDER_RETRY_BASE_MINUTES, 5),
+    orderRetryMaxMinutes: parseIntWithDefault(process.env.ORDER_RETRY_MAX_MINUTES, 240),
+
+    // API Rate Limiting and Circuit Breaker
+    apiRateLimitPerMinute: parseIntWithDefault(process.env.API_RATE_LIMIT_PER_MINUTE, 120),
+    apiRateLimitBurst: parseIntWithDefault(process.env.API_RATE_LIMIT_BURST, 10),
+    apiCircuitFailureThreshold: parseIntWithDefault(process.env.API_CIRCUIT_FAILURE_THRESHOLD, 3),
+    apiCircuitCooldownMinutes: parseIntWithDefault(process.env.API_CIRCUIT_COOLDOWN_MINUTES, 5),
+
+    // Scheduled Jobs (cron expression, timezone and enabled flag per job)
+    schedules: {
+        polling: scheduleFromEnv('POLLING', `*/${pollingIntervalMinutes} * * * *`, true),
+        dailyReport: scheduleFromEnv('DAILY_REPORT', '0 9 * * *', true),
+        weeklyReport: scheduleFromEnv('WEEKLY_REPORT', '0 9 * * 1', true),
+        reportCleanup: scheduleFromEnv('REPORT_CLEANUP', '0 0 1 * *', true),
+        healthCheck: scheduleFromEnv('HEALTH_CHECK', '*/30 * * * *', false),
+        catalogSync: scheduleFromEnv('CATALOG_SYNC', catalogSyncDefaultExpression(), false)
+    },
+
+    // Invoice Rendering
+    // At least one render slot, or every invoice would wait for a slot forever
+    browserPoolSize: parsePositiveIntWithDefault('BROWSER_POOL_SIZE', 2),
+    browserPageMaxRenders: parseIntWithDefault(process.env.BROWSER_PAGE_MAX_RENDERS, 50),
+    invoiceFirstPageRows: parseIntWithDefault(process.env.INVOICE_FIRST_PAGE_ROWS, 16),
+    invoiceRowsPerPage: parseIntWithDefault(process.env.INVOICE_ROWS_PER_PAGE, 26),
+
+    // Plugins
+    pluginsDir: process.env.PLUGINS_DIR || 'plugins',
+    pluginHookTimeoutSeconds: parseIntWithDefault(process.env.PLUGIN_HOOK_TIMEOUT_SECONDS, 30),
 
     // Printer Configuration
     printerName: process.env.PRINTER_NAME || 'Default Printer',
     printCopies: parseIntWithDefault(process.env.PRINT_COPIES, 1),
     autoPrint: process.env.AUTO_PRINT === 'true',
 
+    // Fulfillment Write-back
+    fulfillmentEnabled: process.env.FULFILLMENT_ENABLED === 'true',
+    fulfillmentSendNotification: process.env.FULFILLMENT_SEND_NOTIFICATION === 'true',
+    fulfillmentDryRun: process.env.FULFILLMENT_DRY_RUN === 'true',
+    // Off for shops that fulfill with tracking info later, through the API
+    fulfillmentAfterPrint: process.env.FULFILLMENT_AFTER_PRINT !== 'false',
+
+    // Orders Changed After Invoicing
+    reissueChangedInvoices: process.env.REISSUE_CHANGED_INVOICES === 'true',
+
+    // Invoice Totals Reconciliation: which of the order's totals invoices must match,
+    // and the largest difference that still counts as a match
+    reconciliationEnabled: process.env.RECONCILIATION_ENABLED !== 'false',
+    // Only grandTotal by default: shops that do not collect tax in Squarespace get a taxTotal of 0
+    reconciliationFields: parseListWithDefault(process.env.RECONCILIATION_FIELDS, ['grandTotal']),
+    reconciliationTolerance: parseFloatWithDefault(process.env.RECONCILIATION_TOLERANCE, 0.01),
+
     // Email Notifications
     smtpHost: process.env.SMTP_HOST || 'smtp.gmail.com',
     smtpPort: parseIntWithDefault(process.env.SMTP_PORT, 587),
     smtpUser: process.env.SMTP_USER,
     smtpPass: process.env.SMTP_PASS,
     notificationEmail: process.env.NOTIFICATION_EMAIL,
+    emailInvoices: process.env.EMAIL_INVOICES === 'true',
 
     // Greek Invoice Configuration
-    shopName: process.env.SHOP_NAME,
+    shopName: process.env.SHOP_NAME || stores.map(store => store.shopName).join(' / '),
     shopAddress: process.env.SHOP_ADDRESS,
     shopPhone: process.env.SHOP_PHONE || '',
     shopEmail: process.env.SHOP_EMAIL,
@@ -67,6 +311,11 @@ module.exports = {
     shopRegistration2: process.env.SHOP_REGISTRATION_2 || '',
     currency: process.env.CURRENCY || 'EUR',
     vatRate: parseFloatWithDefault(process.env.VAT_RATE, 0.24),
+    vatCategoryRates: parseRatesWithDefault(process.env.VAT_CATEGORY_RATES, { reduced: 0.13, 'super-reduced': 0.06, zero: 0 }),
+    // Off by default: earlier versions always added VAT on top of the prices
+    pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === 'true',
+    vatRounding: process.env.VAT_ROUNDING || 'line',
+    shippingTaxCategory: process.env.SHIPPING_TAX_CATEGORY || 'standard',
     country: process.env.COUNTRY || 'GR',
     language: process.env.LANGUAGE || 'el',
 
@@ -75,9 +324,20 @@ module.exports = {
     logRetentionDays: parseIntWithDefault(process.env.LOG_RETENTION_DAYS, 30),
     dataBackupEnabled: process.env.DATA_BACKUP_ENABLED === 'true',
 
-    // Web Dashboard (Optional)
+    // Graceful shutdown: how long to wait for orders in progress
+    shutdownTimeoutSeconds: parseIntWithDefault(process.env.SHUTDOWN_TIMEOUT_SECONDS, 30),
+
+    // Web Dashboard (Optional); only reachable from this machine unless DASHBOARD_HOST says otherwise
     dashboardPort: parseIntWithDefault(process.env.DASHBOARD_PORT, 3000),
+    dashboardHost: process.env.DASHBOARD_HOST || '127.0.0.1',
     dashboardEnabled: process.env.DASHBOARD_ENABLED === 'true',
+    // Required in the X-Dashboard-Token header by the dashboard API; without it, only this machine may use the API
+    dashboardToken: process.env.DASHBOARD_TOKEN || '',
+
+    // Webhook receiver: with WEBHOOK_PORT set, webhooks get a listener of their own
+    // that serves nothing else; otherwise they are received by the dashboard server
+    webhookPort: parseIntWithDefault(process.env.WEBHOOK_PORT, 0),
+    webhookHost: process.env.WEBHOOK_HOST || '0.0.0.0',
     
     // Sound Alert Configuration
     soundAlertEnabled: process.env.SOUND_ALERT_ENABLED === 'true',
@@ -6,6 +6,9 @@ module.exports = {
     autorestart: true,
     watch: false,
     max_memory_restart: '1G',
+    // Let the graceful shutdown finish the order in progress (SHUTDOWN_TIMEOUT_SECONDS + margin)
+    kill_timeout: 45000,
+    shutdown_with_message: true,
     error_file: './logs/pm2-error.log',
     out_file: './logs/pm2-out.log',
     log_file: './logs/pm2-combined.log',
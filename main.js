@@ -1,6 +1,7 @@
 const config = require('./config/app');
 const logger = require('./utils/logger');
 const orderTracker = require('./services/order-tracker');
+const squarespaceApi = require('./services/squarespace-api');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -26,20 +27,95 @@ async function ensureDirectories() {
     }
 }
 
-// Graceful shutdown handler
+// Dashboard and webhook HTTP servers, closed on shutdown
+let dashboardServer = null;
+let webhookServer = null;
+
+// Graceful shutdown handler: stop the scheduled jobs, refuse new orders, let
+// the orders in progress finish, then save state, close resources and exit
 function setupGracefulShutdown() {
-    const shutdown = (signal) => {
+    let shuttingDown = false;
+    
+    const shutdown = async (signal) => {
+        if (shuttingDown) {
+            logger.warn(`Received ${signal} again; exiting without waiting`);
+            process.exit(1);
+        }
+        shuttingDown = true;
         logger.info(`Received ${signal}. Starting graceful shutdown...`);
         
-        // Add cleanup logic here if needed
-        // orderTracker.stop(); // If you implement a stop method
+        // Last resort if a cleanup step hangs
+        const forceExit = setTimeout(() => {
+            logger.error('❌ Graceful shutdown took too long; exiting');
+            process.exit(1);
+        }, (config.shutdownTimeoutSeconds + 10) * 1000);
+        forceExit.unref();
+        
+        let exitCode = 0;
+        try {
+            const drained = await orderTracker.drain(config.shutdownTimeoutSeconds * 1000);
+            if (!drained) {
+                exitCode = 1;
+            }
+            
+            await require('./services/order-state').flush();
+            await require('./services/audit-log').flush();
+            await require('./services/browser-pool').close();
+            await closeServer(dashboardServer);
+            await closeServer(webhookServer);
+        } catch (error) {
+            logger.error('❌ Error during graceful shutdown:', error);
+            exitCode = 1;
+        }
         
         logger.info('Graceful shutdown completed');
-        process.exit(0);
+        await logger.flush();
+        process.exit(exitCode);
     };
     
     process.on('SIGTERM', () => shutdown('SIGTERM'));
     process.on('SIGINT', () => shutdown('SIGINT'));
+    
+    // pm2 sends a message instead of a signal with shutdown_with_message (needed on Windows)
+    process.on('message', (message) => {
+        if (message === 'shutdown') {
+            shutdown('shutdown message');
+        }
+    });
+}
+
+// Stops an HTTP server, dropping idle keep-alive connections
+function closeServer(server) {
+    if (!server) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeIdleConnections();
+    });
+}
+
+// Adds the Squarespace webhook route (raw body needed for signature check)
+function addWebhookRoute(app, express) {
+    app.post('/api/webhooks/squarespace', express.raw({ type: '*/*', limit: '1mb' }), (req, res) => {
+        const webhookReceiver = require('./services/webhook-receiver');
+        webhookReceiver.handleSquarespaceWebhook(req, res);
+    });
+}
+
+// Webhook receiver on its own port, so it can be exposed to Squarespace
+// while the dashboard stays on localhost
+function setupWebhookServer() {
+    if (!config.webhookPort) {
+        return;
+    }
+    const express = require('express');
+    const app = express();
+    addWebhookRoute(app, express);
+    
+    webhookServer = app.listen(config.webhookPort, config.webhookHost, () => {
+        logger.info(`🔔 Webhook receiver listening on ${config.webhookHost}:${config.webhookPort}`);
+    });
 }
 
 // Enhanced dashboard server with API endpoints
@@ -51,18 +127,37 @@ function setupDashboard() {
         // Serve static files
         app.use(express.static('dashboard'));
         
+        // Squarespace webhook notifications, unless they have a listener of their own
+        if (!config.webhookPort) {
+            addWebhookRoute(app, express);
+        }
+        
         // API endpoint for system health
-        app.get('/api/health', (req, res) => {
-            res.json({
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                uptime: process.uptime(),
-                version: require('./package.json').version,
-                environment: config.nodeEnv,
-                pollingInterval: config.pollingIntervalMinutes
-            });
+        app.get('/api/health', async (req, res) => {
+            try {
+                const trackerControls = require('./services/tracker-controls');
+                const controls = await trackerControls.getControls();
+                res.json({
+                    status: 'healthy',
+                    mode: trackerControls.getMode(controls),
+                    controls,
+                    timestamp: new Date().toISOString(),
+                    uptime: process.uptime(),
+                    version: require('./package.json').version,
+                    environment: config.nodeEnv,
+                    pollingSchedule: config.schedules.polling.enabled ? config.schedules.polling.expression : 'disabled',
+                    lastOrderFetch: Object.fromEntries(config.stores.map(store => [store.id, squarespaceApi.getLastFetchStats(store)]))
+                });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to read health status' });
+            }
         });
-        
+
+        // Everything below reprints, voids, approves or reveals orders, so it
+        // needs the dashboard token (or a request from this machine)
+        const { requireDashboardAccess } = require('./utils/dashboard-auth');
+        app.use('/api', requireDashboardAccess(config.dashboardToken));
+
         // API endpoint for recent logs
         app.get('/api/logs', async (req, res) => {
             try {
@@ -82,24 +177,285 @@ function setupDashboard() {
             }
         });
         
-        // API endpoint for processed orders
+        // API endpoint for processed orders and their pipeline state
         app.get('/api/orders', async (req, res) => {
             try {
-                const processedOrdersPath = path.join('data', 'processed-orders.json');
-                if (await fs.pathExists(processedOrdersPath)) {
-                    const orders = await fs.readJson(processedOrdersPath);
-                    res.json({ 
-                        processedOrders: Array.isArray(orders) ? orders : [],
-                        totalProcessed: Array.isArray(orders) ? orders.length : 0
-                    });
-                } else {
-                    res.json({ processedOrders: [], totalProcessed: 0 });
-                }
+                const orderState = require('./services/order-state');
+                const records = await orderState.getAllOrderStates();
+                const processedOrders = Object.keys(records).filter(key => records[key].status === 'completed');
+                res.json({
+                    processedOrders,
+                    totalProcessed: processedOrders.length,
+                    failedOrders: Object.values(records).filter(record => record.status === 'failed'),
+                    orders: records
+                });
             } catch (error) {
                 res.status(500).json({ error: 'Failed to read orders data' });
             }
         });
         
+        // API endpoint to print an order's invoice again
+        app.post('/api/orders/:orderKey/reprint', async (req, res) => {
+            if (!config.autoPrint) {
+                res.status(409).json({ error: 'Printing is disabled (AUTO_PRINT=false)' });
+                return;
+            }
+            try {
+                const orderTracker = require('./services/order-tracker');
+                const reprinted = await orderTracker.reprintInvoice(req.params.orderKey, 'dashboard');
+                if (!reprinted) {
+                    res.status(404).json({ error: 'Order has no invoice to reprint' });
+                    return;
+                }
+                res.json({ reprinted });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to reprint invoice' });
+            }
+        });
+        
+        // API endpoint to mark an order fulfilled with its shipment's tracking information
+        app.post('/api/orders/:orderKey/fulfill', express.json({ limit: '16kb' }), async (req, res) => {
+            if (!config.fulfillmentEnabled) {
+                res.status(409).json({ error: 'Fulfillment write-back is disabled (FULFILLMENT_ENABLED=false)' });
+                return;
+            }
+            const fulfillmentService = require('./services/fulfillment-service');
+            const errors = fulfillmentService.validateTracking(req.body);
+            if (errors.length > 0) {
+                res.status(400).json({ error: errors.join('; ') });
+                return;
+            }
+            try {
+                const orderTracker = require('./services/order-tracker');
+                const result = await orderTracker.fulfillWithTracking(req.params.orderKey, req.body, 'dashboard');
+                if (!result) {
+                    res.status(404).json({ error: 'Order has not been invoiced' });
+                    return;
+                }
+                res.status(result.status === 'failed' ? 502 : 200).json(result);
+            } catch (error) {
+                res.status(500).json({ error: `Failed to fulfill order: ${error.message}` });
+            }
+        });
+        
+        // API endpoint for the audit trail of order lifecycle events
+        app.get('/api/audit', async (req, res) => {
+            const auditLog = require('./services/audit-log');
+            try {
+                const events = await auditLog.query(req.query);
+                res.json({ events, count: events.length });
+            } catch (error) {
+                const invalidFilter = error.message === 'Invalid from/to date';
+                res.status(invalidFilter ? 400 : 500).json({ error: invalidFilter ? error.message : 'Failed to read audit log' });
+            }
+        });
+        
+        // API endpoints for orders changed in Squarespace after they were invoiced
+        app.get('/api/invoice-changes', async (req, res) => {
+            try {
+                const invoiceRevisions = require('./services/invoice-revisions');
+                const changes = await invoiceRevisions.getPendingChanges();
+                res.json({ changes });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to read changed orders' });
+            }
+        });
+        
+        app.post('/api/invoice-changes/:orderKey/reissue', async (req, res) => {
+            try {
+                const orderTracker = require('./services/order-tracker');
+                const revision = await orderTracker.reissueChangedInvoice(req.params.orderKey, 'dashboard');
+                if (!revision) {
+                    res.status(404).json({ error: 'Order has no pending change' });
+                    return;
+                }
+                res.json({ invoiceNumber: revision.invoiceNumber, pdfPath: revision.pdfPath });
+            } catch (error) {
+                res.status(500).json({ error: `Failed to reissue invoice: ${error.message}` });
+            }
+        });
+        
+        app.post('/api/invoice-changes/:orderKey/dismiss', async (req, res) => {
+            try {
+                const invoiceRevisions = require('./services/invoice-revisions');
+                if (!await invoiceRevisions.dismissChange(req.params.orderKey, 'dashboard')) {
+                    res.status(404).json({ error: 'Order has no pending change' });
+                    return;
+                }
+                res.json({ dismissed: true });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to dismiss change' });
+            }
+        });
+        
+        // API endpoints for orders whose invoice totals do not match the order
+        app.get('/api/reviews', async (req, res) => {
+            try {
+                const invoiceReconciliation = require('./services/invoice-reconciliation');
+                const reviews = await invoiceReconciliation.getPendingReviews();
+                res.json({ reviews });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to read orders held for review' });
+            }
+        });
+        
+        app.post('/api/reviews/:orderKey/:action', async (req, res) => {
+            const { orderKey, action } = req.params;
+            if (!['approve', 'recheck'].includes(action)) {
+                res.status(404).json({ error: 'Unknown review action' });
+                return;
+            }
+            try {
+                const orderTracker = require('./services/order-tracker');
+                const processed = await orderTracker.resolveReview(orderKey, action, 'dashboard');
+                if (processed === null) {
+                    res.status(404).json({ error: 'Order is not held for review' });
+                    return;
+                }
+                res.json({ processed });
+            } catch (error) {
+                res.status(500).json({ error: `Failed to ${action} order: ${error.message}` });
+            }
+        });
+        
+        // API endpoints for orders that used up their retry attempts
+        app.get('/api/dead-letters', async (req, res) => {
+            try {
+                const retryQueue = require('./services/retry-queue');
+                const deadLetters = await retryQueue.getDeadLetters();
+                res.json({ deadLetters });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to read dead-letter list' });
+            }
+        });
+        
+        app.post('/api/dead-letters/:orderKey/retry', async (req, res) => {
+            try {
+                const orderTracker = require('./services/order-tracker');
+                const processed = await orderTracker.retryDeadLetter(req.params.orderKey);
+                if (processed === null) {
+                    res.status(404).json({ error: 'Order is not on the dead-letter list' });
+                    return;
+                }
+                res.json({ processed });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to retry order' });
+            }
+        });
+        
+        app.post('/api/dead-letters/:orderKey/dismiss', async (req, res) => {
+            try {
+                const retryQueue = require('./services/retry-queue');
+                const record = await retryQueue.dismiss(req.params.orderKey);
+                if (!record) {
+                    res.status(404).json({ error: 'Order is not on the dead-letter list' });
+                    return;
+                }
+                res.json({ dismissed: true });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to dismiss order' });
+            }
+        });
+        
+        // API endpoints to pause and resume polling or printing
+        app.post('/api/tracker/:target/:action', async (req, res) => {
+            const { target, action } = req.params;
+            if (!['polling', 'printing'].includes(target) || !['pause', 'resume'].includes(action)) {
+                res.status(404).json({ error: 'Unknown tracker control' });
+                return;
+            }
+            try {
+                const orderTracker = require('./services/order-tracker');
+                const trackerControls = require('./services/tracker-controls');
+                const paused = action === 'pause';
+                const controls = target === 'polling'
+                    ? await orderTracker.setPollingPaused(paused)
+                    : await orderTracker.setPrintingPaused(paused);
+                res.json({ mode: trackerControls.getMode(controls), controls });
+            } catch (error) {
+                res.status(500).json({ error: `Failed to ${action} ${target}` });
+            }
+        });
+        
+        // API endpoint to check for new orders right away
+        app.post('/api/check-now', (req, res) => {
+            const orderTracker = require('./services/order-tracker');
+            const started = orderTracker.checkNow();
+            res.status(202).json({ started });
+        });
+        
+        // API endpoint for fulfillment write-back results
+        app.get('/api/fulfillments', async (req, res) => {
+            try {
+                const fulfillmentService = require('./services/fulfillment-service');
+                const fulfillments = await fulfillmentService.getFulfillments();
+                res.json({ fulfillments });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to read fulfillments data' });
+            }
+        });
+        
+        // API endpoint for the cached product catalog
+        app.get('/api/catalog', (req, res) => {
+            const productCatalog = require('./services/product-catalog');
+            res.json({
+                enabled: config.schedules.catalogSync.enabled,
+                schedule: config.schedules.catalogSync.expression,
+                stores: productCatalog.getCatalogStatus()
+            });
+        });
+        
+        // API endpoint for the order routing rules
+        app.get('/api/routing/rules', (req, res) => {
+            try {
+                const routingRules = require('./services/routing-rules');
+                res.json({ rules: routingRules.getRules() });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // Explains which routing rules an order matches, without processing it.
+        // Body: { "orderId": "...", "store": "<store id>" } or { "order": {...}, "store": "<store id>" }
+        app.post('/api/routing/dry-run', express.json({ limit: '1mb' }), async (req, res) => {
+            try {
+                const routingRules = require('./services/routing-rules');
+                const { orderId, order: postedOrder, store: storeId } = req.body || {};
+                const store = storeId ? config.stores.find(s => s.id === storeId) : config.stores[0];
+                if (!store) {
+                    res.status(404).json({ error: `Unknown store: ${storeId}` });
+                    return;
+                }
+                
+                const order = postedOrder || (orderId && await squarespaceApi.getOrder(store, orderId));
+                if (!order) {
+                    res.status(orderId ? 404 : 400).json({ error: orderId ? `Order ${orderId} not found` : 'Provide an orderId or an order' });
+                    return;
+                }
+                
+                const { explanations, facts, ...actions } = routingRules.evaluate(order, store);
+                res.json({ orderNumber: order.orderNumber, store: store.id, facts, actions, rules: explanations });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // API endpoint for scheduled jobs and their next run times
+        app.get('/api/schedules', (req, res) => {
+            const scheduler = require('./services/scheduler');
+            res.json({ jobs: scheduler.getJobs() });
+        });
+        
+        // API endpoint for loaded plugins and their errors
+        app.get('/api/plugins', (req, res) => {
+            const pluginManager = require('./services/plugin-manager');
+            res.json({
+                directory: config.pluginsDir,
+                hooks: pluginManager.HOOKS,
+                plugins: pluginManager.getPluginStatus()
+            });
+        });
+        
         // API endpoint for system stats
         app.get('/api/stats', async (req, res) => {
             try {
@@ -152,8 +508,8 @@ function setupDashboard() {
             res.sendFile(path.join(__dirname, 'dashboard', 'index.html'));
         });
         
-        app.listen(config.dashboardPort, () => {
-            logger.info(`🚀 Dashboard server running on port ${config.dashboardPort}`);
+        dashboardServer = app.listen(config.dashboardPort, config.dashboardHost, () => {
+            logger.info(`🚀 Dashboard server running on ${config.dashboardHost}:${config.dashboardPort}`);
             logger.info(`Dashboard available at: http://localhost:${config.dashboardPort}`);
         });
     }
@@ -215,18 +571,22 @@ async function startApplication() {
         // Ensure directories exist
         await ensureDirectories();
         
+        // Refuse to start while a backfill is writing the order state
+        await require('./utils/process-lock').acquireLock('service');
+        
         // Setup graceful shutdown
         setupGracefulShutdown();
         
-        // Setup dashboard with API endpoints
+        // Setup dashboard with API endpoints, and the webhook receiver
         setupDashboard();
+        setupWebhookServer();
         
         // Start order tracking service
         logger.info('Starting order tracking service...');
         orderTracker.start();
         
         logger.info('✅ Application started successfully');
-        logger.info(`Polling interval: ${config.pollingIntervalMinutes} minutes`);
+        logger.info(`Polling schedule: ${config.schedules.polling.enabled ? `${config.schedules.polling.expression} (${config.schedules.polling.timezone})` : 'disabled'}`);
         
     } catch (error) {
         logger.error('❌ Failed to start application:', error);
@@ -234,6 +594,31 @@ async function startApplication() {
     }
 }
 
+// Manual backfill: node main.js --since <date>
+async function runBackfill(sinceArg) {
+    const since = new Date(sinceArg);
+    if (!sinceArg || isNaN(since.getTime())) {
+        logger.error(`❌ Invalid --since date: ${sinceArg}. Use an ISO date such as 2024-01-31 or 2024-01-31T08:00:00Z`);
+        process.exit(1);
+    }
+    
+    try {
+        await ensureDirectories();
+        // The running service keeps its own copy of the order state; both writing it would lose updates
+        await require('./utils/process-lock').acquireLock('backfill');
+        const complete = await orderTracker.backfill(since);
+        if (complete) {
+            logger.info('✅ Backfill completed');
+            process.exit(0);
+        }
+        logger.warn('Backfill stopped before reaching the present; re-run it to continue');
+        process.exit(1);
+    } catch (error) {
+        logger.error('❌ Backfill failed:', error);
+        process.exit(1);
+    }
+}
+
 // Handle unhandled errors
 process.on('unhandledRejection', (reason, promise) => {
     logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
@@ -244,5 +629,10 @@ process.on('uncaughtException', (error) => {
     process.exit(1);
 });
 
-// Start the application
-startApplication();
+// Start the application, or run a one-off backfill
+const sinceIndex = process.argv.indexOf('--since');
+if (sinceIndex !== -1) {
+    runBackfill(process.argv[sinceIndex + 1]);
+} else {
+    startApplication();
+}
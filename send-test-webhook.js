@@ -0,0 +1,61 @@
+// Sends a signed fake Squarespace webhook notification to the local dashboard
+// server, to check the webhook route and signature verification end to end.
+//
+// Usage: node send-test-webhook.js <orderId> [topic] [--store=<id>] [--bad-signature]
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('./config/app');
+const { computeSignature } = require('./utils/webhook-signature');
+
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const badSignature = process.argv.includes('--bad-signature');
+const storeArg = process.argv.find(arg => arg.startsWith('--store='));
+const orderId = args[0];
+const topic = args[1] || 'order.create';
+// Webhooks go to their own listener when WEBHOOK_PORT is set
+const port = config.webhookPort || config.dashboardPort;
+
+if (!orderId) {
+    console.error('Usage: node send-test-webhook.js <orderId> [topic] [--store=<id>] [--bad-signature]');
+    process.exit(1);
+}
+
+const storeId = storeArg ? storeArg.slice('--store='.length) : config.stores[0].id;
+const store = config.stores.find(profile => profile.id === storeId);
+
+if (!store) {
+    console.error(`❌ Unknown store '${storeId}'`);
+    process.exit(1);
+}
+
+const secret = store.squarespaceWebhookSecret;
+if (!secret) {
+    console.error(`❌ No webhook secret is configured for store '${store.id}'`);
+    process.exit(1);
+}
+
+const body = JSON.stringify({
+    id: crypto.randomUUID(),
+    websiteId: store.squarespaceWebsiteId,
+    subscriptionId: 'test-subscription',
+    topic,
+    createdOn: new Date().toISOString(),
+    data: { orderId }
+});
+
+// Signing with a random key produces a well-formed but wrong signature
+const signingSecret = badSignature ? crypto.randomBytes(32).toString('hex') : secret;
+
+axios.post(`http://127.0.0.1:${port}/api/webhooks/squarespace`, body, {
+    headers: {
+        'Content-Type': 'application/json',
+        'Squarespace-Signature': computeSignature(signingSecret, body)
+    },
+    validateStatus: () => true
+}).then(response => {
+    console.log(`${response.status} ${JSON.stringify(response.data)}`);
+    process.exit(response.status === 200 ? 0 : 1);
+}).catch(error => {
+    console.error(`❌ Request failed: ${error.message}`);
+    process.exit(1);
+});
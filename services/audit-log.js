@@ -0,0 +1,169 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const logger = require('../utils/logger');
+
+// One append-only JSONL file per month, kept apart from the rotating app.log
+const auditDir = path.join('data', 'audit');
+
+const EVENTS = [
+    'fetched', 'resumed', 'rendered', 'printed', 'emailed', 'fulfilled', 'completed', 'failed', 'skipped',
+    'reprinted', 'voided', 'credited', 'changed', 'reissued', 'change-dismissed', 'needs-review', 'review-approved'
+];
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+// Appends are chained so concurrent events never interleave within a line
+let appendQueue = Promise.resolve();
+
+/**
+ * Gets the audit file for the month of a date.
+ * @param {Date|moment.Moment} date The date.
+ * @returns {string} The file path.
+ */
+function getAuditFile(date) {
+    return path.join(auditDir, `audit-${moment(date).format('YYYY-MM')}.jsonl`);
+}
+
+/**
+ * Appends an event to the audit trail. A failed write is logged but never
+ * fails the order.
+ * @param {string} event One of EVENTS.
+ * @param {object} entry What the event is about.
+ * @param {object} entry.store The store profile the order belongs to.
+ * @param {string} entry.orderKey The order key.
+ * @param {string} entry.orderNumber The order number.
+ * @param {string} entry.actor What triggered it: 'poll', 'webhook', 'retry', 'dashboard' or 'backfill'.
+ * @param {object} [entry.details] Event-specific details (file hash, printer...).
+ * @returns {Promise<void>} Resolves once the line is on disk.
+ */
+function record(event, { store, orderKey, orderNumber, actor, details = {} }) {
+    if (!EVENTS.includes(event)) {
+        throw new Error(`Unknown audit event: ${event}`);
+    }
+
+    const now = new Date();
+    const line = JSON.stringify({
+        at: now.toISOString(),
+        event,
+        actor,
+        store: store.id,
+        orderKey,
+        orderNumber,
+        details
+    });
+
+    const append = appendQueue.then(async () => {
+        await fs.ensureDir(auditDir);
+        await fs.appendFile(getAuditFile(now), `${line}\n`);
+    });
+    appendQueue = append.catch(error => {
+        logger.error(`Failed to write audit event ${event} for order ${orderNumber}:`, error);
+    });
+    return appendQueue;
+}
+
+/**
+ * Calculates the SHA-256 hash of a file, so a printed invoice can later be
+ * matched to the exact PDF that was rendered.
+ * @param {string} filePath The file.
+ * @returns {Promise<{sha256: string, bytes: number}>} The hex digest and the file size.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        let bytes = 0;
+        fs.createReadStream(filePath)
+            .on('data', chunk => {
+                hash.update(chunk);
+                bytes += chunk.length;
+            })
+            .on('error', reject)
+            .on('end', () => resolve({ sha256: hash.digest('hex'), bytes }));
+    });
+}
+
+/**
+ * Reads audit events, newest first.
+ * @param {object} [filters] Optional filters; all given filters must match.
+ * @param {string} [filters.orderKey] The order key.
+ * @param {string} [filters.orderNumber] The order number.
+ * @param {string} [filters.store] The store id.
+ * @param {string} [filters.event] One event, or several separated by commas.
+ * @param {string} [filters.actor] The actor.
+ * @param {string} [filters.from] Only events at or after this ISO date.
+ * @param {string} [filters.to] Only events at or before this ISO date.
+ * @param {number} [filters.limit] The maximum number of events (default 100, at most 1000).
+ * @returns {Promise<Array<object>>} The matching events.
+ */
+async function query(filters = {}) {
+    const from = filters.from ? moment(filters.from, moment.ISO_8601) : null;
+    // A plain date as the end of the range includes the whole day
+    const to = filters.to ? moment(filters.to, moment.ISO_8601) : null;
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+        to.endOf('day');
+    }
+    if ((from && !from.isValid()) || (to && !to.isValid())) {
+        throw new Error('Invalid from/to date');
+    }
+    const events = filters.event ? String(filters.event).split(',') : null;
+    const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+
+    if (!await fs.pathExists(auditDir)) {
+        return [];
+    }
+
+    // Newest month first; files outside the date range are not read
+    const files = (await fs.readdir(auditDir))
+        .filter(name => /^audit-\d{4}-\d{2}\.jsonl$/.test(name))
+        .filter(name => !from || name.slice(6, 13) >= from.format('YYYY-MM'))
+        .filter(name => !to || name.slice(6, 13) <= to.format('YYYY-MM'))
+        .sort()
+        .reverse();
+
+    const results = [];
+    for (const file of files) {
+        const lines = (await fs.readFile(path.join(auditDir, file), 'utf-8')).split('\n').filter(Boolean);
+        for (const line of lines.reverse()) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                logger.warn(`Skipping unreadable line in audit file ${file}`);
+                continue;
+            }
+            if ((filters.orderKey && entry.orderKey !== filters.orderKey) ||
+                (filters.orderNumber && entry.orderNumber !== filters.orderNumber) ||
+                (filters.store && entry.store !== filters.store) ||
+                (filters.actor && entry.actor !== filters.actor) ||
+                (events && !events.includes(entry.event)) ||
+                (from && moment(entry.at).isBefore(from)) ||
+                (to && moment(entry.at).isAfter(to))) {
+                continue;
+            }
+            results.push(entry);
+            if (results.length >= limit) {
+                return results;
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Waits for the queued audit events to reach the disk.
+ * @returns {Promise<void>} Resolves once the last queued event is written.
+ */
+function flush() {
+    return appendQueue;
+}
+
+module.exports = {
+    EVENTS,
+    record,
+    hashFile,
+    query,
+    flush,
+};
@@ -0,0 +1,248 @@
+const puppeteer = require('puppeteer');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+
+// Number of recent render timings kept for the average
+const TIMING_SAMPLE_SIZE = 50;
+
+const LAUNCH_OPTIONS = {
+    headless: 'new',
+    args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu'
+    ]
+};
+
+// One long-lived browser, relaunched on demand after a crash
+let browser = null;
+let launching = null;
+
+// Pages ready for reuse ({ page, browser, renders })
+let idlePages = [];
+
+// Renders in progress, and renders waiting for a free page
+let activeRenders = 0;
+const waiting = [];
+
+const stats = {
+    launches: 0,
+    crashes: 0,
+    renders: 0,
+    failures: 0,
+    recycledPages: 0,
+    lastLaunchMs: null,
+    lastRenderMs: null,
+    maxRenderMs: null,
+    recentRenderMs: []
+};
+
+/**
+ * Returns the shared browser, launching it if it is not running.
+ * @returns {Promise<object>} The Puppeteer browser.
+ */
+async function getBrowser() {
+    if (browser && browser.isConnected()) {
+        return browser;
+    }
+    if (!launching) {
+        launching = launchBrowser().finally(() => {
+            launching = null;
+        });
+    }
+    return launching;
+}
+
+/**
+ * Launches Chromium and watches it for crashes.
+ * @returns {Promise<object>} The Puppeteer browser.
+ */
+async function launchBrowser() {
+    const started = Date.now();
+    const launched = await puppeteer.launch(LAUNCH_OPTIONS);
+
+    // close() detaches the browser first, so only crashes get this far
+    launched.on('disconnected', () => {
+        if (browser !== launched) {
+            return;
+        }
+        browser = null;
+        idlePages = [];
+        stats.crashes++;
+        logger.warn('⚠️  Invoice browser disconnected unexpectedly; it will be relaunched for the next render');
+    });
+
+    browser = launched;
+    stats.launches++;
+    stats.lastLaunchMs = Date.now() - started;
+    logger.info(`🌐 Invoice browser launched in ${stats.lastLaunchMs}ms`);
+    return launched;
+}
+
+/**
+ * Waits until fewer than BROWSER_POOL_SIZE renders are running.
+ */
+async function acquireSlot() {
+    if (activeRenders < config.browserPoolSize) {
+        activeRenders++;
+        return;
+    }
+    // The slot is handed over directly by releaseSlot
+    await new Promise(resolve => waiting.push(resolve));
+}
+
+/**
+ * Frees a render slot, handing it to the next waiting render if there is one.
+ */
+function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+        next();
+    } else {
+        activeRenders--;
+    }
+}
+
+/**
+ * Takes an idle page from the current browser, or opens a new one.
+ * @returns {Promise<object>} The pooled page ({ page, browser, renders }).
+ */
+async function acquirePage() {
+    const current = await getBrowser();
+
+    while (idlePages.length > 0) {
+        const pooled = idlePages.pop();
+        if (pooled.browser === current && !pooled.page.isClosed()) {
+            return pooled;
+        }
+    }
+
+    const page = await current.newPage();
+    // Set viewport for consistent rendering
+    await page.setViewport({ width: 1200, height: 800 });
+    return { page, browser: current, renders: 0 };
+}
+
+/**
+ * Returns a page to the pool, or closes it if it failed, belongs to a
+ * browser that is gone, or has reached BROWSER_PAGE_MAX_RENDERS.
+ * @param {object} pooled The pooled page.
+ * @param {boolean} healthy False if the render on this page failed.
+ */
+async function releasePage(pooled, healthy) {
+    pooled.renders++;
+
+    const worn = pooled.renders >= config.browserPageMaxRenders;
+    if (healthy && !worn && pooled.browser === browser && !pooled.page.isClosed()) {
+        idlePages.push(pooled);
+        return;
+    }
+
+    if (worn) {
+        stats.recycledPages++;
+        logger.debug(`Recycling invoice page after ${pooled.renders} renders`);
+    }
+    try {
+        if (!pooled.page.isClosed()) {
+            await pooled.page.close();
+        }
+    } catch (error) {
+        logger.debug(`Error closing invoice page: ${error.message}`);
+    }
+}
+
+/**
+ * Records how long a render took.
+ * @param {number} durationMs The render time in milliseconds.
+ */
+function recordTiming(durationMs) {
+    stats.renders++;
+    stats.lastRenderMs = durationMs;
+    stats.maxRenderMs = Math.max(stats.maxRenderMs || 0, durationMs);
+    stats.recentRenderMs.push(durationMs);
+    if (stats.recentRenderMs.length > TIMING_SAMPLE_SIZE) {
+        stats.recentRenderMs.shift();
+    }
+}
+
+/**
+ * Runs a render on a pooled page. At most BROWSER_POOL_SIZE renders run at
+ * once; the rest wait their turn.
+ * @param {function(object): Promise<*>} render Receives the Puppeteer page.
+ * @returns {Promise<*>} Whatever the render returns.
+ */
+async function withPage(render) {
+    await acquireSlot();
+
+    const started = Date.now();
+    let pooled = null;
+    let healthy = false;
+    try {
+        pooled = await acquirePage();
+        const result = await render(pooled.page);
+        healthy = true;
+        recordTiming(Date.now() - started);
+        return result;
+    } catch (error) {
+        stats.failures++;
+        throw error;
+    } finally {
+        if (pooled) {
+            await releasePage(pooled, healthy);
+        }
+        releaseSlot();
+    }
+}
+
+/**
+ * Closes the shared browser. The next render launches a new one.
+ */
+async function close() {
+    const current = browser;
+    if (!current) {
+        return;
+    }
+    browser = null;
+    idlePages = [];
+    try {
+        await current.close();
+        logger.info('🌐 Invoice browser closed');
+    } catch (error) {
+        logger.warn('Error closing browser:', error);
+    }
+}
+
+/**
+ * Gets the pool state and render timings for diagnostics.
+ * @returns {object} The pool statistics.
+ */
+function getStats() {
+    const recent = stats.recentRenderMs;
+    return {
+        browser: browser && browser.isConnected() ? 'running' : 'stopped',
+        poolSize: config.browserPoolSize,
+        pageMaxRenders: config.browserPageMaxRenders,
+        activeRenders,
+        queuedRenders: waiting.length,
+        idlePages: idlePages.length,
+        launches: stats.launches,
+        crashes: stats.crashes,
+        renders: stats.renders,
+        failures: stats.failures,
+        recycledPages: stats.recycledPages,
+        lastLaunchMs: stats.lastLaunchMs,
+        lastRenderMs: stats.lastRenderMs,
+        averageRenderMs: recent.length > 0 ? Math.round(recent.reduce((sum, ms) => sum + ms, 0) / recent.length) : null,
+        maxRenderMs: stats.maxRenderMs
+    };
+}
+
+module.exports = {
+    withPage,
+    close,
+    getStats,
+};
@@ -0,0 +1,234 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-file');
+const { parseMoney, getOrderKey, getInvoiceNumber } = require('../utils/helpers');
+const invoiceGenerator = require('./invoice-generator');
+const invoiceRevisions = require('./invoice-revisions');
+const printerService = require('./printer-service');
+const auditLog = require('./audit-log');
+const trackerControls = require('./tracker-controls');
+
+const creditNotesPath = path.join('data', 'credit-notes.json');
+
+// Refund differences below this are treated as rounding noise
+const AMOUNT_TOLERANCE = 0.01;
+
+// Credit notes being printed, by number, so a webhook and a poll never print the same one twice
+const printing = new Set();
+
+/**
+ * Gets all issued credit notes, keyed by order key.
+ * @returns {Promise<object>} Arrays of credit notes per order key.
+ */
+async function getCreditNotes() {
+    try {
+        if (await fs.pathExists(creditNotesPath)) {
+            const records = await fs.readJson(creditNotesPath);
+            return records && typeof records === 'object' ? records : {};
+        }
+    } catch (error) {
+        logger.error('Error reading credit notes file:', error);
+    }
+    return {};
+}
+
+/**
+ * Gets the credit notes issued within a time range, as a flat list.
+ * @param {Date} from Start of the range (inclusive).
+ * @param {Date} to End of the range (exclusive).
+ * @returns {Promise<Array>} The credit notes, oldest first.
+ */
+async function getCreditNotesBetween(from, to) {
+    const records = await getCreditNotes();
+    return Object.values(records)
+        .flat()
+        .filter(note => {
+            const issuedAt = new Date(note.issuedAt);
+            return issuedAt >= from && issuedAt < to;
+        })
+        .sort((a, b) => new Date(a.issuedAt) - new Date(b.issuedAt));
+}
+
+/**
+ * Works out which credit note, if any, an already invoiced order needs.
+ * @param {object} order The latest order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {Array} existingNotes Credit notes already issued for the order.
+ * @param {object} [invoiced] What the invoice charged (see invoice-revisions);
+ * without it, the invoice is worked out again from the order.
+ * @returns {object|null} The credit note to issue ({ reason, full, amount }), or null.
+ */
+function determineCredit(order, store, existingNotes, invoiced = null) {
+    if (existingNotes.some(note => note.reason === 'CANCELED')) {
+        return null;
+    }
+
+    const credited = existingNotes.reduce((sum, note) => sum + note.amount, 0);
+
+    if (order.fulfillmentStatus === 'CANCELED') {
+        if (existingNotes.length === 0) {
+            return { reason: 'CANCELED', full: true };
+        }
+        // Credit whatever the earlier partial refunds did not cover
+        const invoiceTotal = invoiced ? invoiced.grandTotal : invoiceGenerator.prepareInvoiceData(order, store).grandTotal;
+        return { reason: 'CANCELED', full: false, amount: Math.max(invoiceTotal - credited, 0) };
+    }
+
+    const refunded = parseMoney(order.refundedTotal);
+    if (refunded - credited > AMOUNT_TOLERANCE) {
+        return { reason: 'REFUNDED', full: false, amount: refunded - credited };
+    }
+
+    return null;
+}
+
+/**
+ * Checks an already invoiced order for a cancellation or new refund and,
+ * if needed, generates and records a credit note for it, then prints it.
+ * The note is recorded before it is printed, so a failure after printing
+ * never prints it again; a note whose print failed stays pending and is
+ * printed by printPendingCreditNotes.
+ * @param {object} order The latest order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {string} actor What triggered the check, for the audit log.
+ * @returns {Promise<object|null>} The recorded credit note, or null if none was needed.
+ */
+async function processOrderChange(order, store, actor) {
+    const orderKey = getOrderKey(store, order.orderNumber);
+    const records = await getCreditNotes();
+    const existingNotes = records[orderKey] || [];
+    // Credit against what was invoiced, not the order and catalog as they are now
+    const revision = await invoiceRevisions.getRevision(orderKey);
+    const invoiced = revision && revision.invoiced;
+    const credit = determineCredit(order, store, existingNotes, invoiced);
+
+    if (!credit) {
+        return null;
+    }
+
+    const invoiceNumber = invoiced ? invoiced.invoiceNumber : getInvoiceNumber(store, order.orderNumber);
+    const number = `CN-${getInvoiceNumber(store, order.orderNumber)}-${existingNotes.length + 1}`;
+
+    // A cancellation after full refunds leaves nothing to credit, but is still recorded
+    let pdfPath = null;
+    let totals = { netTotal: 0, vatTotal: 0, grandTotal: 0 };
+    if (credit.full || credit.amount > AMOUNT_TOLERANCE) {
+        const result = await invoiceGenerator.generateCreditNote(order, { number, ...credit, invoiced }, store);
+        pdfPath = result.pdfPath;
+        totals = result.data;
+    }
+
+    const note = {
+        number,
+        store: store.id,
+        orderNumber: order.orderNumber,
+        orderId: order.id,
+        originalInvoiceNumber: invoiceNumber,
+        reason: credit.reason,
+        full: credit.full,
+        amount: -totals.grandTotal,
+        netAmount: -totals.netTotal,
+        vatAmount: -totals.vatTotal,
+        pdfPath,
+        printed: false,
+        printPending: !!(pdfPath && config.autoPrint),
+        issuedAt: new Date().toISOString()
+    };
+
+    records[orderKey] = [...existingNotes, note];
+    await writeJsonAtomic(creditNotesPath, records);
+
+    // A cancellation voids the invoice; a refund credits part of it
+    await auditLog.record(credit.reason === 'CANCELED' ? 'voided' : 'credited', {
+        store,
+        orderKey,
+        orderNumber: order.orderNumber,
+        actor,
+        details: {
+            creditNote: number,
+            reason: credit.reason,
+            amount: note.amount,
+            pdfPath,
+            ...(pdfPath ? await auditLog.hashFile(pdfPath) : {}),
+            printPending: note.printPending
+        }
+    });
+
+    logger.forStore(store).info(`🧾 Issued credit note ${number} for order ${order.orderNumber} (${credit.reason}, ${note.amount.toFixed(2)})`);
+
+    // While printing is paused the note stays pending until it resumes
+    if (note.printPending && !(await trackerControls.getControls()).printingPaused) {
+        await printCreditNote(orderKey, note, store);
+    }
+    return note;
+}
+
+/**
+ * Prints a recorded credit note and marks it as printed.
+ * @param {string} orderKey The order key the note belongs to.
+ * @param {object} note The credit note.
+ * @param {object} store The store profile the order belongs to.
+ * @returns {Promise<boolean>} False if the note is already being printed.
+ */
+async function printCreditNote(orderKey, note, store) {
+    if (printing.has(note.number)) {
+        return false;
+    }
+    printing.add(note.number);
+    try {
+        await printerService.printFile(note.pdfPath, store);
+
+        const records = await getCreditNotes();
+        const saved = (records[orderKey] || []).find(existing => existing.number === note.number);
+        if (saved) {
+            saved.printed = true;
+            saved.printPending = false;
+            saved.printedAt = new Date().toISOString();
+            await writeJsonAtomic(creditNotesPath, records);
+        }
+        logger.forStore(store).info(`🖨️  Printed credit note ${note.number}`);
+        return true;
+    } finally {
+        printing.delete(note.number);
+    }
+}
+
+/**
+ * Prints the credit notes whose printing failed earlier or was paused. A
+ * note that fails again stays pending for the next call.
+ * @returns {Promise<number>} How many notes were printed.
+ */
+async function printPendingCreditNotes() {
+    if (!config.autoPrint || (await trackerControls.getControls()).printingPaused) {
+        return 0;
+    }
+
+    const records = await getCreditNotes();
+    let printed = 0;
+    for (const [orderKey, notes] of Object.entries(records)) {
+        for (const note of notes.filter(existing => existing.printPending)) {
+            const store = config.stores.find(s => s.id === note.store);
+            if (!store) {
+                logger.warn(`Cannot print credit note ${note.number}: store ${note.store} is no longer configured`);
+                continue;
+            }
+            try {
+                if (await printCreditNote(orderKey, note, store)) {
+                    printed++;
+                }
+            } catch (error) {
+                logger.forStore(store).error(`❌ Failed to print credit note ${note.number}:`, error);
+            }
+        }
+    }
+    return printed;
+}
+
+module.exports = {
+    getCreditNotes,
+    getCreditNotesBetween,
+    processOrderChange,
+    printPendingCreditNotes,
+};
@@ -6,11 +6,14 @@ const path = require('path');
 /**
  * Sends a desktop notification for new orders
  * @param {Object} order - The order object
+ * @param {Object} [store] - The store the order belongs to
  */
-async function notifyNewOrder(order) {
+async function notifyNewOrder(order, store) {
     try {
+        // Name the store when orders can come from more than one
+        const storeName = store && config.stores.length > 1 ? ` (${store.name})` : '';
         const notification = {
-            title: '🎉 New Order Received!',
+            title: `🎉 New Order Received!${storeName}`,
             message: `Order #${order.orderNumber}\nCustomer: ${getCustomerName(order)}\nTotal: ${formatOrderTotal(order)}`,
             icon: path.join(__dirname, '..', 'assets', 'icon.png'),
             sound: true,
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const path = require('path');
 const config = require('../config/app');
 const logger = require('../utils/logger');
 
@@ -17,12 +18,13 @@ const transporter = nodemailer.createTransport({
  * @param {string} subject The subject of the email.
  * @param {string} text The plain text body of the email.
  * @param {string} html The HTML body of the email.
+ * @param {string} [to] The recipient (default: NOTIFICATION_EMAIL).
  */
-async function sendNotification(subject, text, html) {
+async function sendNotification(subject, text, html, to = config.notificationEmail) {
     try {
         await transporter.sendMail({
             from: `"Invoice System" <${config.smtpUser}>`,
-            to: config.notificationEmail,
+            to,
             subject: subject,
             text: text,
             html: html,
@@ -33,6 +35,25 @@ async function sendNotification(subject, text, html) {
     }
 }
 
+/**
+ * Emails a copy of an invoice PDF to the notification address.
+ * Unlike sendNotification, failures are thrown so the caller can retry.
+ * @param {object} order The order object from Squarespace.
+ * @param {string} pdfPath The path to the invoice PDF.
+ * @param {object} store The store profile the order belongs to.
+ */
+async function sendInvoice(order, pdfPath, store) {
+    await transporter.sendMail({
+        from: `"Invoice System" <${config.smtpUser}>`,
+        to: config.notificationEmail,
+        subject: `Invoice for order ${order.orderNumber} (${store.name})`,
+        text: `Attached is the invoice for order ${order.orderNumber}.`,
+        attachments: [{ filename: path.basename(pdfPath), path: pdfPath }],
+    });
+    logger.forStore(store).info(`📧 Emailed invoice for order ${order.orderNumber}`);
+}
+
 module.exports = {
     sendNotification,
+    sendInvoice,
 };
@@ -0,0 +1,155 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-file');
+const { getOrderKey } = require('../utils/helpers');
+const squarespaceApi = require('./squarespace-api');
+
+const fulfillmentsPath = path.join('data', 'fulfillments.json');
+
+/**
+ * Builds the fulfillment request body for the Commerce API.
+ * @param {object} [tracking] Optional tracking information.
+ * @param {string} [tracking.trackingNumber] Carrier tracking number.
+ * @param {string} [tracking.carrierName] Carrier name, e.g. 'ELTA Courier'.
+ * @param {string} [tracking.service] Shipping service, e.g. 'Express'.
+ * @param {string} [tracking.trackingUrl] Link to the carrier's tracking page.
+ * @param {boolean} [tracking.shouldSendNotification] Overrides FULFILLMENT_SEND_NOTIFICATION.
+ * @returns {object} The request body.
+ */
+function buildFulfillment(tracking = {}) {
+    const shipments = [];
+
+    if (tracking.trackingNumber) {
+        shipments.push({
+            shipDate: new Date().toISOString(),
+            carrierName: tracking.carrierName || '',
+            service: tracking.service || '',
+            trackingNumber: tracking.trackingNumber,
+            trackingUrl: tracking.trackingUrl || null
+        });
+    }
+
+    return {
+        shouldSendNotification: typeof tracking.shouldSendNotification === 'boolean'
+            ? tracking.shouldSendNotification
+            : config.fulfillmentSendNotification,
+        shipments
+    };
+}
+
+/**
+ * Checks tracking information sent to the API.
+ * @param {object} tracking The tracking information (see buildFulfillment).
+ * @returns {Array<string>} One message per problem; empty if it is valid.
+ */
+function validateTracking(tracking) {
+    if (!tracking || typeof tracking !== 'object' || Array.isArray(tracking)) {
+        return ['Tracking information must be a JSON object'];
+    }
+
+    const errors = [];
+    if (typeof tracking.trackingNumber !== 'string' || !tracking.trackingNumber.trim()) {
+        errors.push('trackingNumber is required');
+    }
+    for (const field of ['carrierName', 'service', 'trackingUrl']) {
+        if (tracking[field] !== undefined && typeof tracking[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    }
+    if (typeof tracking.trackingUrl === 'string' && !/^https?:\/\//.test(tracking.trackingUrl)) {
+        errors.push('trackingUrl must be an http(s) URL');
+    }
+    if (tracking.shouldSendNotification !== undefined && typeof tracking.shouldSendNotification !== 'boolean') {
+        errors.push('shouldSendNotification must be true or false');
+    }
+    return errors;
+}
+
+/**
+ * Marks an order as fulfilled in Squarespace and records the result.
+ * Failures are recorded and logged, never thrown, because the invoice has
+ * already been printed by the time this runs.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} [tracking] Optional tracking information (see buildFulfillment).
+ * @returns {Promise<object|null>} The recorded result, or null if fulfillment is disabled.
+ */
+async function fulfillOrder(order, store, tracking = {}) {
+    if (!config.fulfillmentEnabled) {
+        return null;
+    }
+
+    const log = logger.forStore(store);
+
+    if (order.fulfillmentStatus === 'FULFILLED') {
+        log.debug(`Order ${order.orderNumber} is already fulfilled in Squarespace`);
+        return null;
+    }
+
+    const fulfillment = buildFulfillment(tracking);
+    const result = {
+        store: store.id,
+        orderNumber: order.orderNumber,
+        orderId: order.id,
+        timestamp: new Date().toISOString(),
+        shouldSendNotification: fulfillment.shouldSendNotification,
+        shipments: fulfillment.shipments
+    };
+
+    if (config.fulfillmentDryRun) {
+        log.info(`📦 [dry run] Would mark order ${order.orderNumber} fulfilled: ${JSON.stringify(fulfillment)}`);
+        result.status = 'dry-run';
+    } else {
+        try {
+            await squarespaceApi.fulfillOrder(store, order.id, fulfillment);
+            log.info(`📦 Marked order ${order.orderNumber} as fulfilled in Squarespace`);
+            result.status = 'fulfilled';
+        } catch (error) {
+            log.error(`❌ Failed to mark order ${order.orderNumber} as fulfilled:`, error);
+            result.status = 'failed';
+            result.error = error.message;
+        }
+    }
+
+    await recordResult(getOrderKey(store, order.orderNumber), result);
+    return result;
+}
+
+/**
+ * Gets the recorded fulfillment results, keyed by order key.
+ * @returns {Promise<object>} The fulfillment records.
+ */
+async function getFulfillments() {
+    try {
+        if (await fs.pathExists(fulfillmentsPath)) {
+            const records = await fs.readJson(fulfillmentsPath);
+            return records && typeof records === 'object' ? records : {};
+        }
+    } catch (error) {
+        logger.error('Error reading fulfillments file:', error);
+    }
+    return {};
+}
+
+/**
+ * Records the fulfillment result for an order.
+ * @param {string} orderKey The order key (see getOrderKey).
+ * @param {object} result The result to record.
+ */
+async function recordResult(orderKey, result) {
+    try {
+        const records = await getFulfillments();
+        records[orderKey] = result;
+        await writeJsonAtomic(fulfillmentsPath, records);
+    } catch (error) {
+        logger.error('Error saving fulfillments file:', error);
+    }
+}
+
+module.exports = {
+    validateTracking,
+    fulfillOrder,
+    getFulfillments,
+};
@@ -1,16 +1,43 @@
-const puppeteer = require('puppeteer');
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('../config/app');
 const logger = require('../utils/logger');
-const { formatDate, formatCurrency } = require('../utils/helpers');
+const { formatDate, formatCurrency, getInvoiceNumber, parseMoney } = require('../utils/helpers');
+const productCatalog = require('./product-catalog');
+const taxEngine = require('./tax-engine');
+const paymentDetails = require('./payment-details');
+const browserPool = require('./browser-pool');
+const pluginManager = require('./plugin-manager');
+const templateEngine = require('../utils/template-engine');
+
+// Rows the totals block takes up; the last page keeps room for them
+const TOTALS_ROWS = 5;
 
 /**
  * Generates a PDF invoice for an order.
  * @param {object} order The order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} [payment] The order's payment details (see payment-details).
+ * @param {object} [correction] Set when reissuing a corrected invoice (see prepareInvoice).
  * @returns {Promise<string>} The path to the generated PDF.
  */
-async function generateInvoice(order) {
+async function generateInvoice(order, store, payment = null, correction = null) {
+    const invoiceData = await prepareInvoice(order, store, payment, correction);
+    return renderInvoice(order, store, invoiceData);
+}
+
+/**
+ * Prepares the data an invoice is rendered from, including any changes made
+ * by beforeRender plugins, so it can be checked before anything is rendered.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} [payment] The order's payment details (see payment-details).
+ * @param {object} [correction] Set when reissuing a corrected invoice.
+ * @param {string} correction.invoiceNumber The corrected invoice's number.
+ * @param {string} correction.replaces The number of the invoice it voids.
+ * @returns {Promise<object>} The invoice data (see prepareInvoiceData).
+ */
+async function prepareInvoice(order, store, payment = null, correction = null) {
     // Validate order input
     if (!order || !order.orderNumber) {
         throw new Error('Invalid order: missing orderNumber');
@@ -20,58 +47,111 @@ async function generateInvoice(order) {
         throw new Error('Invalid order: missing or empty lineItems');
     }
     
-    logger.info(`🧾 Starting invoice generation for order ${order.orderNumber}`);
+    const invoiceData = prepareInvoiceData(order, store, payment);
+    if (correction) {
+        invoiceData.INVOICE_NUMBER = correction.invoiceNumber;
+        invoiceData.INVOICE_DATE = formatDate(new Date());
+        invoiceData.REFERENCE_INFO = `Corrected invoice; replaces and voids invoice #${correction.replaces}`;
+    }
+    // Plugins may adjust the template data before it is rendered
+    await pluginManager.runHook('beforeRender', { order, store, data: invoiceData });
+    return invoiceData;
+}
+
+/**
+ * Renders prepared invoice data to a PDF.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} invoiceData The invoice data (see prepareInvoice).
+ * @returns {Promise<string>} The path to the generated PDF.
+ */
+async function renderInvoice(order, store, invoiceData) {
+    const log = logger.forStore(store);
+    log.info(`🧾 Starting invoice generation for order ${order.orderNumber}`);
     
     // Ensure output directory exists
     const outputDir = 'generated-invoices';
     await fs.ensureDir(outputDir);
     
-    const invoiceData = prepareInvoiceData(order);
-    const htmlContent = await populateTemplate(invoiceData);
-    const pdfPath = path.join(outputDir, `invoice-${order.orderNumber}.pdf`);
+    const htmlContent = await populateTemplate(invoiceData, store.template);
+    const pdfPath = path.join(outputDir, `invoice-${invoiceData.INVOICE_NUMBER}.pdf`);
+
+    await renderPdf(htmlContent, pdfPath, `order ${order.orderNumber}`, `${invoiceData.DOCUMENT_TITLE} #${invoiceData.INVOICE_NUMBER}`);
+    await pluginManager.runHook('afterRender', { order, store, data: invoiceData, pdfPath });
+    log.info(`✅ Generated invoice for order ${order.orderNumber} at ${pdfPath}`);
+    return pdfPath;
+}
+
+/**
+ * Generates a PDF credit note that reverses all or part of an order's invoice.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} creditNote The credit note details.
+ * @param {string} creditNote.number The credit note number.
+ * @param {string} creditNote.reason 'CANCELED' or 'REFUNDED'.
+ * @param {boolean} creditNote.full True to reverse every invoice line.
+ * @param {number} [creditNote.amount] Gross amount to credit when not full.
+ * @param {object} [creditNote.invoiced] What the credited invoice charged (see
+ * invoice-revisions); without it, the invoice is worked out again from the order.
+ * @param {object} store The store profile the order belongs to.
+ * @returns {Promise<{pdfPath: string, data: object}>} The PDF path and the rendered data.
+ */
+async function generateCreditNote(order, creditNote, store) {
+    if (!order || !order.orderNumber) {
+        throw new Error('Invalid order: missing orderNumber');
+    }
+    
+    const log = logger.forStore(store);
+    log.info(`🧾 Starting credit note ${creditNote.number} for order ${order.orderNumber}`);
+    
+    const outputDir = 'generated-invoices';
+    await fs.ensureDir(outputDir);
+    
+    const data = prepareCreditNoteData(order, creditNote, store);
+    const htmlContent = await populateTemplate(data, store.template);
+    const pdfPath = path.join(outputDir, `credit-note-${creditNote.number}.pdf`);
+    
+    await renderPdf(htmlContent, pdfPath, `credit note ${creditNote.number}`, `${data.DOCUMENT_TITLE} #${data.INVOICE_NUMBER}`);
+    log.info(`✅ Generated credit note ${creditNote.number} at ${pdfPath}`);
+    return { pdfPath, data };
+}
 
-    let browser = null;
+/**
+ * Renders HTML to a PDF file on a page from the shared browser pool. Every
+ * page gets a footer with the document title and 'Page X / Y'.
+ * @param {string} htmlContent The populated template.
+ * @param {string} pdfPath Where to write the PDF.
+ * @param {string} label A description of the document, for logging.
+ * @param {string} documentTitle The document title and number, for the page footer.
+ */
+async function renderPdf(htmlContent, pdfPath, label, documentTitle) {
     try {
-        // Launch browser with production-ready settings
-        browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-gpu'
-            ]
-        });
-        
-        const page = await browser.newPage();
-        
-        // Set viewport for consistent rendering
-        await page.setViewport({ width: 1200, height: 800 });
-        
-        // Set content with timeout
-        await page.setContent(htmlContent, { 
-            waitUntil: 'networkidle0',
-            timeout: 30000 
-        });
-        
-        // Generate PDF with optimized settings
-        await page.pdf({
-            path: pdfPath,
-            format: 'A4',
-            printBackground: true,
-            margin: {
-                top: '20px',
-                right: '20px',
-                bottom: '20px',
-                left: '20px'
-            }
+        await browserPool.withPage(async (page) => {
+            // Set content with timeout
+            await page.setContent(htmlContent, { 
+                waitUntil: 'networkidle0',
+                timeout: 30000 
+            });
+            
+            // Generate PDF with optimized settings
+            await page.pdf({
+                path: pdfPath,
+                format: 'A4',
+                printBackground: true,
+                // Chromium fills in pageNumber and totalPages once the layout is final
+                displayHeaderFooter: true,
+                headerTemplate: '<div></div>',
+                footerTemplate: `<div style="width: 100%; font-size: 9px; color: #666; text-align: center;">
+                    ${templateEngine.escapeHtml(documentTitle)} &middot; Page <span class="pageNumber"></span> / <span class="totalPages"></span>
+                </div>`,
+                margin: {
+                    top: '20px',
+                    right: '20px',
+                    bottom: '45px',
+                    left: '20px'
+                }
+            });
         });
         
-        logger.info(`✅ Generated invoice for order ${order.orderNumber} at ${pdfPath}`);
-        
         // Verify file was created and has content
         const stats = await fs.stat(pdfPath);
         if (stats.size === 0) {
@@ -79,10 +159,9 @@ async function generateInvoice(order) {
         }
         
         logger.debug(`PDF file size: ${stats.size} bytes`);
-        return pdfPath;
         
     } catch (error) {
-        logger.error(`❌ Error generating PDF for order ${order.orderNumber}:`, error);
+        logger.error(`❌ Error generating PDF for ${label}:`, error);
         
         // Clean up partial file if it exists
         try {
@@ -94,151 +173,284 @@ async function generateInvoice(order) {
         }
         
         throw error;
-    } finally {
-        // Ensure browser is closed
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (closeError) {
-                logger.warn('Error closing browser:', closeError);
-            }
-        }
     }
 }
 
 /**
- * Populates the HTML template with invoice data.
- * @param {object} data The invoice data.
- * @returns {Promise<string>} The HTML content with data.
+ * Reads and compiles an invoice template with its partials (from
+ * templates/partials/).
+ * @param {string} templateName The template file in templates/.
+ * @returns {object} The compiled template (see template-engine).
  */
-async function populateTemplate(data) {
-    const templatePath = path.join('templates', 'invoice-template.html');
+function compileTemplate(templateName) {
+    const templatePath = path.join('templates', templateName);
     
     // Check if template exists
-    if (!await fs.pathExists(templatePath)) {
+    if (!fs.existsSync(templatePath)) {
         throw new Error(`Invoice template not found at ${templatePath}`);
     }
     
-    let template = await fs.readFile(templatePath, 'utf-8');
+    const template = fs.readFileSync(templatePath, 'utf-8');
     
     // Validate template has basic structure
     if (!template.includes('{{') || template.length < 100) {
         throw new Error('Invalid or corrupted invoice template');
     }
+    
+    return templateEngine.compile(template, { name: templateName, partialsDir: path.join('templates', 'partials') });
+}
 
-    for (const key in data) {
-        if (key === 'items') {
-            const itemsRegex = /{{\#each items}}([\s\S]*?){{\/each}}/;
-            const itemTemplateMatch = template.match(itemsRegex);
-            
-            if (itemTemplateMatch) {
-                const itemTemplate = itemTemplateMatch[1];
-                let itemsHtml = '';
-                
-                data.items.forEach((item, index) => {
-                    let itemHtml = itemTemplate;
-                    for (const itemKey in item) {
-                        const regex = new RegExp(`{{${itemKey}}}`, 'g');
-                        // Format currency values before replacing
-                        let value = item[itemKey];
-                        if (typeof value === 'number' && itemKey.includes('amount')) {
-                            value = formatCurrency(value);
-                        }
-                        itemHtml = itemHtml.replace(regex, value || '');
-                    }
-                    itemsHtml += itemHtml;
-                });
-                template = template.replace(itemsRegex, itemsHtml);
-            }
-        } else {
-            const regex = new RegExp(`{{${key}}}`, 'g');
-            template = template.replace(regex, data[key] || '');
+/**
+ * Compiles invoice templates without rendering them, so a broken template
+ * is reported at startup rather than on the next order.
+ * @param {Array<string>} templateNames The template files in templates/.
+ * @returns {Array<string>} One message per broken template, with the line it breaks on.
+ */
+function validateTemplates(templateNames) {
+    const errors = [];
+    for (const templateName of new Set(templateNames)) {
+        try {
+            compileTemplate(templateName);
+        } catch (error) {
+            // Syntax errors already name the template and line
+            errors.push(error.line ? error.message : `${templateName}: ${error.message}`);
         }
     }
+    return errors;
+}
+
+/**
+ * Populates the HTML template with invoice data.
+ * @param {object} data The invoice data.
+ * @param {string} [templateName] The template file in templates/.
+ * @returns {Promise<string>} The HTML content with data.
+ */
+async function populateTemplate(data, templateName = 'invoice-template.html') {
+    const pages = paginateItems(data.items, getTotalsRows(data));
+    const { html, missing } = templateEngine.render(compileTemplate(templateName), { ...data, pages, PAGE_COUNT: pages.length });
     
-    // Check for unreplaced placeholders
-    const unreplacedPlaceholders = template.match(/{{\w+}}/g);
-    if (unreplacedPlaceholders) {
-        logger.warn(`Unreplaced placeholders in template: ${unreplacedPlaceholders.join(', ')}`);
+    // Check for values the template uses but the data lacks
+    if (missing.length > 0) {
+        logger.warn(`Template values with no data in ${templateName}: ${missing.join(', ')}`);
     }
     
-    return template;
+    return html;
+}
+
+/**
+ * Estimates how many table rows the totals take up on the last page: the
+ * VAT breakdown table, plus a line each for shipping, discounts and gift cards.
+ * @param {object} data The invoice data.
+ * @returns {number} The height in rows.
+ */
+function getTotalsRows(data) {
+    const giftCards = (data.giftCardPayments || []).length;
+    return TOTALS_ROWS +
+        1 + (data.vatBreakdown || []).length +
+        (data.shippingTotal ? 1 : 0) +
+        (data.discountTotal ? 1 : 0) +
+        (giftCards > 0 ? giftCards + 1 : 0);
+}
+
+/**
+ * Estimates how many table rows an item takes up: its variant options are
+ * listed under it in smaller type.
+ * @param {object} item The invoice item.
+ * @returns {number} The height in rows.
+ */
+function getItemRows(item) {
+    return 1 + 0.5 * (item.options || []).length;
+}
+
+/**
+ * Adds up the amounts of some invoice items.
+ * @param {Array<object>} items The items.
+ * @returns {{net: number, vat: number, total: number}} The sums.
+ */
+function sumItems(items) {
+    return {
+        net: items.reduce((sum, item) => sum + item.net_amount, 0),
+        vat: items.reduce((sum, item) => sum + item.vat_amount, 0),
+        total: items.reduce((sum, item) => sum + item.total_amount, 0)
+    };
+}
+
+/**
+ * Splits the invoice items into printed pages. Each page after the first
+ * starts with the subtotal brought forward, each page before the last ends
+ * with the subtotal carried forward, and the last page keeps room for the
+ * totals.
+ * @param {Array<object>} items The invoice items.
+ * @param {number} [totalsRows] The rows the totals take up on the last page.
+ * @returns {Array<object>} The pages: { pageNumber, items, broughtForward, carriedForward, isFirst, isLast }.
+ */
+function paginateItems(items, totalsRows = TOTALS_ROWS) {
+    const pages = [];
+    let index = 0;
+
+    while (pages.length === 0 || index < items.length) {
+        const isFirst = pages.length === 0;
+        // Continuation pages give one row to the brought-forward line
+        const capacity = isFirst ? config.invoiceFirstPageRows : config.invoiceRowsPerPage - 1;
+        const remaining = items.slice(index);
+        const remainingRows = remaining.reduce((sum, item) => sum + getItemRows(item), 0);
+
+        let count = remaining.length;
+        if (remainingRows > capacity - totalsRows) {
+            // Fill the page, leaving a row for the carried-forward line, and
+            // always move at least one item on so the totals have a page to go on
+            let rows = 0;
+            count = 0;
+            while (count < remaining.length - 1 && rows + getItemRows(remaining[count]) <= capacity - 1) {
+                rows += getItemRows(remaining[count]);
+                count++;
+            }
+            count = Math.max(count, 1);
+        }
+
+        const pageItems = remaining.slice(0, count);
+        index += count;
+        pages.push({
+            pageNumber: pages.length + 1,
+            items: pageItems,
+            broughtForward: isFirst ? null : sumItems(items.slice(0, index - count)),
+            carriedForward: index < items.length ? sumItems(items.slice(0, index)) : null,
+            isFirst,
+            isLast: index >= items.length
+        });
+    }
+    return pages;
 }
 
 /**
  * Prepares the data for the invoice template.
  * @param {object} order The order object.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} [payment] The order's payment details (see payment-details).
  * @returns {object} The prepared invoice data.
  */
-function prepareInvoiceData(order) {
+function prepareInvoiceData(order, store, payment = null) {
     try {
         // Validate order structure
         if (!order.lineItems || !Array.isArray(order.lineItems)) {
             throw new Error('Order missing lineItems array');
         }
         
-        const items = order.lineItems.map((item, index) => {
+        const productLines = order.lineItems.map((item, index) => {
             // Validate line item
             if (!item.productName) {
                 logger.warn(`Line item ${index} missing productName`);
             }
-            
+
+            // Fill in what the order line lacks from the locally cached catalog
+            const catalogItem = productCatalog.lookupLineItem(store, item);
             const quantity = item.quantity || 1;
-            const unitPrice = item.unitPrice?.value || item.unitPrice || 0;
-            const netAmount = unitPrice * quantity;
-            const vatAmount = netAmount * (config.vatRate || 0.24);
-            const totalAmount = netAmount + vatAmount;
-            
+            // unitPricePaid is after any sale price; unitPrice is the list price
+            const listPrice = parseMoney(item.unitPrice);
+            const paidPrice = item.unitPricePaid ? parseMoney(item.unitPricePaid) : listPrice;
+
+            return {
+                amount: paidPrice * quantity,
+                rate: taxEngine.getRate(catalogItem.taxCategory),
+                item: {
+                    type: 'product',
+                    code: item.sku || catalogItem.sku || item.productId || `ITEM-${index + 1}`,
+                    name: item.productName || 'Unknown Product',
+                    options: getLineItemOptions(item, catalogItem),
+                    description: describeLineItem(item, catalogItem),
+                    quantity: quantity,
+                    unit: item.unit || catalogItem.unit || 'τμχ', // Default to 'piece' in Greek
+                    tax_category: catalogItem.taxCategory,
+                    discount: listPrice > paidPrice ? Math.round((1 - paidPrice / listPrice) * 10000) / 100 : 0,
+                }
+            };
+        });
+        const shippingLines = getShippingLines(order);
+        const discountLines = getDiscountLines(order, productLines);
+        const lines = [...productLines, ...shippingLines, ...discountLines];
+
+        // VAT is taken out of or added to the prices, and rounded per line
+        // or per rate for the whole document, as configured
+        const tax = taxEngine.calculate(lines, { pricesIncludeTax: pricesIncludeTax(order) });
+
+        const items = lines.map((line, index) => {
+            const amounts = tax.lines[index];
+
             return {
-                code: item.sku || item.productId || `ITEM-${index + 1}`,
-                description: item.productName || 'Unknown Product',
-                quantity: quantity,
-                price: unitPrice,
-                unit: item.unit || 'τμχ', // Default to 'piece' in Greek
-                discount: item.discount || 0,
-                net_amount: netAmount,
-                vat_amount: vatAmount,
-                total_amount: totalAmount,
+                ...line.item,
+                // Net unit price, so quantity times price gives the net amount
+                price: amounts.net / line.item.quantity,
+                vat_rate: line.rate,
+                net_amount: amounts.net,
+                vat_amount: amounts.vat,
+                total_amount: amounts.gross,
             };
         });
 
-        const netTotal = items.reduce((sum, item) => sum + item.net_amount, 0);
-        const vatTotal = items.reduce((sum, item) => sum + item.vat_amount, 0);
-        const grandTotal = netTotal + vatTotal;
+        const { net: netTotal, vat: vatTotal, gross: grandTotal } = tax.totals;
+        // In the order's own terms: subtotal + shipping - discounts (+ VAT if
+        // prices exclude it) makes the grand total
+        const sumAmounts = list => list.reduce((sum, line) => sum + line.amount, 0);
+        const subtotal = sumAmounts(productLines);
+        const shippingTotal = sumAmounts(shippingLines);
+        const discountTotal = -sumAmounts(discountLines);
+
+        // Gift cards are a way of paying, not a discount: they leave the
+        // invoiced amounts alone and reduce what is left to pay
+        const giftCardPayments = payment
+            ? payment.payments.filter(entry => entry.giftCardId).map(entry => ({ giftCardId: entry.giftCardId, amount: entry.amount }))
+            : [];
+        const giftCardTotal = giftCardPayments.reduce((sum, entry) => sum + entry.amount, 0);
         
         // Prepare customer information
         const customerInfo = order.customerInfo || order.billingAddress || {};
         
         return {
             // Shop information
-            SHOP_NAME: config.shopName || 'Shop Name',
-            SHOP_ADDRESS: config.shopAddress || 'Shop Address',
-            SHOP_PHONE: config.shopPhone || '',
-            SHOP_EMAIL: config.shopEmail || '',
-            SHOP_REGISTRATION_1: config.shopRegistration1 || '',
-            SHOP_REGISTRATION_2: config.shopRegistration2 || '',
-            SHOP_LOGO_URL: config.shopLogoUrl || '',
+            SHOP_NAME: store.shopName || 'Shop Name',
+            SHOP_ADDRESS: store.shopAddress || 'Shop Address',
+            SHOP_PHONE: store.shopPhone || '',
+            SHOP_EMAIL: store.shopEmail || '',
+            SHOP_REGISTRATION_1: store.shopRegistration1 || '',
+            SHOP_REGISTRATION_2: store.shopRegistration2 || '',
+            SHOP_LOGO_URL: store.shopLogoUrl || '',
+            STORE_ID: store.id,
             
             // Invoice information
-            INVOICE_NUMBER: order.orderNumber,
+            DOCUMENT_TITLE: 'CASH INVOICE',
+            INVOICE_NUMBER: getInvoiceNumber(store, order.orderNumber),
+            REFERENCE_INFO: '',
             PAGE_NUMBER: 1,
-            VAT_NUMBER: config.shopRegistration1 ? `${config.country || 'GR'}${config.shopRegistration1}` : '',
+            VAT_NUMBER: store.shopRegistration1 ? `${config.country || 'GR'}${store.shopRegistration1}` : '',
             INVOICE_DATE: formatDate(order.createdOn ? new Date(order.createdOn) : new Date()),
             USER_NAME: customerInfo.firstName && customerInfo.lastName ? 
                       `${customerInfo.firstName} ${customerInfo.lastName}` : 'Customer',
             CUSTOMER_ADDRESS: customerInfo.address1 || '',
-            RECEIPT_INFO: order.receiptInfo || 'N/A',
+            RECEIPT_INFO: paymentDetails.formatReceiptInfo(payment),
+            RECEIPT_LINES: paymentDetails.formatReceiptLines(payment),
+            PAYMENT_BADGE: paymentDetails.getPaymentBadge(payment),
             PROJECT_NUMBER: order.projectNumber || 'N/A',
             
             // Items and totals
             items: items,
+            vatBreakdown: tax.breakdown,
+            subtotal,
+            shippingTotal,
+            discountTotal,
+            netTotal,
+            vatTotal,
+            grandTotal,
+            giftCardPayments,
+            giftCardTotal,
+            amountDue: grandTotal - giftCardTotal,
             NET_TOTAL: formatCurrency(netTotal),
             VAT_TOTAL: formatCurrency(vatTotal),
             GRAND_TOTAL: formatCurrency(grandTotal),
             
             // Additional information
             CURRENCY: config.currency || 'EUR',
-            VAT_RATE_PERCENT: Math.round((config.vatRate || 0.24) * 100),
+            VAT_RATE_PERCENT: Math.round(config.vatRate * 100),
+            PRICES_INCLUDE_TAX: pricesIncludeTax(order),
         };
     } catch (error) {
         logger.error('Error preparing invoice data:', error);
@@ -246,7 +458,211 @@ function prepareInvoiceData(order) {
     }
 }
 
+/**
+ * Tells whether an order's prices include VAT. Squarespace reports it per
+ * order; orders without it follow PRICES_INCLUDE_TAX.
+ * @param {object} order The order object.
+ * @returns {boolean} True if the prices include VAT.
+ */
+function pricesIncludeTax(order) {
+    return order.priceTaxInterpretation
+        ? order.priceTaxInterpretation === 'INCLUSIVE'
+        : config.pricesIncludeTax;
+}
+
+/**
+ * Builds the invoice lines for an order's shipping, taxed at the rate of
+ * SHIPPING_TAX_CATEGORY. Orders without shipping lines fall back to their
+ * shippingTotal.
+ * @param {object} order The order object.
+ * @returns {Array<object>} The lines: { amount, rate, item }.
+ */
+function getShippingLines(order) {
+    const shipping = Array.isArray(order.shippingLines) && order.shippingLines.length > 0
+        ? order.shippingLines.map(line => ({ method: line.method, amount: parseMoney(line.amount) }))
+        : [{ method: '', amount: parseMoney(order.shippingTotal) }];
+    const rate = taxEngine.getRate(config.shippingTaxCategory);
+
+    return shipping.filter(line => line.amount > 0).map(line => {
+        const name = line.method ? `Shipping (${line.method})` : 'Shipping';
+        return {
+            amount: line.amount,
+            rate,
+            item: {
+                type: 'shipping',
+                code: 'SHIPPING',
+                name,
+                options: [],
+                description: name,
+                quantity: 1,
+                unit: 'τμχ',
+                tax_category: config.shippingTaxCategory,
+                discount: 0,
+            }
+        };
+    });
+}
+
+/**
+ * Builds negative invoice lines for an order's discounts. Each discount is
+ * split across the VAT rates of the products it applies to, so it lowers
+ * each rate's taxable amount. Orders without discount lines fall back to
+ * their discountTotal.
+ * @param {object} order The order object.
+ * @param {Array<object>} productLines The order's product lines: { amount, rate }.
+ * @returns {Array<object>} The lines: { amount, rate, item }.
+ */
+function getDiscountLines(order, productLines) {
+    const discounts = Array.isArray(order.discountLines) && order.discountLines.length > 0
+        ? order.discountLines.map(line => ({ label: line.promoCode || line.name || line.description, amount: parseMoney(line.amount) }))
+        : [{ label: '', amount: parseMoney(order.discountTotal) }];
+
+    return discounts.filter(discount => discount.amount > 0).flatMap(discount => {
+        const name = discount.label ? `Discount (${discount.label})` : 'Discount';
+        return taxEngine.allocate(discount.amount, productLines).map(share => ({
+            amount: -share.amount,
+            rate: share.rate,
+            item: {
+                type: 'discount',
+                code: 'DISCOUNT',
+                name,
+                options: [],
+                description: name,
+                quantity: 1,
+                unit: 'τμχ',
+                tax_category: null,
+                discount: 0,
+            }
+        }));
+    });
+}
+
+/**
+ * Lists a line item's variant options, e.g. [{ name: 'Size', value: 'L' }],
+ * falling back to the catalog attributes when the order line has none.
+ * @param {object} item The order line item.
+ * @param {object} catalogItem The catalog details for the line item.
+ * @returns {Array<{name: string, value: string}>} The options.
+ */
+function getLineItemOptions(item, catalogItem) {
+    return Array.isArray(item.variantOptions) && item.variantOptions.length > 0
+        ? item.variantOptions.map(option => ({ name: option.optionName, value: option.value }))
+        : Object.entries(catalogItem.attributes).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Builds a line item description including its variant, e.g. 'T-Shirt (Size: L)'.
+ * @param {object} item The order line item.
+ * @param {object} catalogItem The catalog details for the line item.
+ * @returns {string} The description.
+ */
+function describeLineItem(item, catalogItem) {
+    const name = item.productName || 'Unknown Product';
+    const options = getLineItemOptions(item, catalogItem).map(option => `${option.name}: ${option.value}`);
+    
+    return options.length > 0 ? `${name} (${options.join(', ')})` : name;
+}
+
+/**
+ * Prepares the data for a credit note, based on what the credited invoice
+ * charged. A full credit note reverses every invoice line; a partial one has
+ * a refund line per VAT rate, whose gross amounts are split into net and VAT.
+ * @param {object} order The order object.
+ * @param {object} creditNote The credit note details (see generateCreditNote).
+ * @param {object} store The store profile the order belongs to.
+ * @returns {object} The prepared credit note data.
+ */
+function prepareCreditNoteData(order, creditNote, store) {
+    const invoiceData = prepareInvoiceData(order, store);
+    const invoiced = creditNote.invoiced || {
+        invoiceNumber: invoiceData.INVOICE_NUMBER,
+        items: invoiceData.items,
+        vatBreakdown: invoiceData.vatBreakdown
+    };
+    let items;
+    let vatBreakdown;
+
+    if (creditNote.full) {
+        items = invoiced.items.map(item => ({
+            ...item,
+            net_amount: -item.net_amount,
+            vat_amount: -item.vat_amount,
+            total_amount: -item.total_amount,
+        }));
+        vatBreakdown = invoiced.vatBreakdown.map(group => ({
+            rate: group.rate,
+            net: -group.net,
+            vat: -group.vat,
+            gross: -group.gross
+        }));
+    } else {
+        // Refunds are what the customer got back, so always VAT-inclusive
+        // and split across the invoice's rates in proportion to their gross amounts
+        const refundLines = taxEngine.allocate(
+            creditNote.amount,
+            invoiced.vatBreakdown.map(group => ({ amount: group.gross, rate: group.rate }))
+        );
+        const tax = taxEngine.calculate(refundLines, { pricesIncludeTax: true });
+        const description = `Refund for order #${order.orderNumber}`;
+        items = refundLines.map((line, index) => ({
+            type: 'refund',
+            code: 'REFUND',
+            name: description,
+            options: [],
+            description,
+            quantity: 1,
+            price: -tax.lines[index].net,
+            unit: 'τμχ',
+            vat_rate: line.rate,
+            discount: 0,
+            net_amount: -tax.lines[index].net,
+            vat_amount: -tax.lines[index].vat,
+            total_amount: -tax.lines[index].gross,
+        }));
+        vatBreakdown = tax.breakdown.map(group => ({
+            rate: group.rate,
+            net: -group.net,
+            vat: -group.vat,
+            gross: -group.gross
+        }));
+    }
+
+    const netTotal = vatBreakdown.reduce((sum, group) => sum + group.net, 0);
+    const vatTotal = vatBreakdown.reduce((sum, group) => sum + group.vat, 0);
+    const grandTotal = vatBreakdown.reduce((sum, group) => sum + group.gross, 0);
+    const reasonText = creditNote.reason === 'CANCELED' ? 'order cancelled' : 'refund';
+    
+    return {
+        ...invoiceData,
+        DOCUMENT_TITLE: 'CREDIT NOTE',
+        INVOICE_NUMBER: creditNote.number,
+        INVOICE_DATE: formatDate(new Date()),
+        REFERENCE_INFO: `Credit for invoice #${invoiced.invoiceNumber} (${reasonText})`,
+        items,
+        vatBreakdown,
+        // Shipping and discounts are credited as item lines; the totals
+        // block only shows the credited net, VAT and total
+        subtotal: 0,
+        shippingTotal: 0,
+        discountTotal: 0,
+        netTotal,
+        vatTotal,
+        grandTotal,
+        giftCardPayments: [],
+        giftCardTotal: 0,
+        amountDue: grandTotal,
+        NET_TOTAL: formatCurrency(netTotal),
+        VAT_TOTAL: formatCurrency(vatTotal),
+        GRAND_TOTAL: formatCurrency(grandTotal),
+    };
+}
+
 module.exports = {
     generateInvoice,
+    prepareInvoice,
+    renderInvoice,
+    generateCreditNote,
+    prepareInvoiceData,
+    validateTemplates,
 };
 
@@ -0,0 +1,177 @@
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { parseMoney } = require('../utils/helpers');
+const orderState = require('./order-state');
+const desktopNotifier = require('./desktop-notifier');
+const auditLog = require('./audit-log');
+
+// Invoice totals and the order totals Squarespace charged that they must match
+const CHECKS = [
+    { field: 'subtotal', invoiceField: 'subtotal', orderField: 'subtotal' },
+    { field: 'taxTotal', invoiceField: 'vatTotal', orderField: 'taxTotal' },
+    { field: 'grandTotal', invoiceField: 'grandTotal', orderField: 'grandTotal' }
+];
+
+/**
+ * Checks the reconciliation settings.
+ * @returns {Array<string>} One message per problem; empty if all are valid.
+ */
+function validateSettings() {
+    const fields = CHECKS.map(check => check.field);
+    return config.reconciliationFields
+        .filter(field => !fields.includes(field))
+        .map(field => `RECONCILIATION_FIELDS has unknown total '${field}'; use ${fields.join(', ')}`);
+}
+
+/**
+ * Compares an invoice's totals with what Squarespace charged for the order.
+ * Only the totals in RECONCILIATION_FIELDS are checked, and only if the order
+ * reports them; with RECONCILIATION_ENABLED=false every invoice matches.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} invoiceData The invoice data (see invoice-generator prepareInvoice).
+ * @returns {{matched: boolean, differences: Array<object>}} One difference per
+ * total off by more than RECONCILIATION_TOLERANCE: { field, invoice, order, difference }.
+ */
+function reconcile(order, invoiceData) {
+    if (!config.reconciliationEnabled) {
+        return { matched: true, differences: [] };
+    }
+
+    const differences = CHECKS
+        .filter(check => config.reconciliationFields.includes(check.field))
+        .filter(check => order[check.orderField] !== undefined && order[check.orderField] !== null)
+        .map(check => {
+            const invoice = Math.round(invoiceData[check.invoiceField] * 100) / 100;
+            const charged = parseMoney(order[check.orderField]);
+            return { field: check.field, invoice, order: charged, difference: Math.round((invoice - charged) * 100) / 100 };
+        })
+        .filter(difference => Math.abs(difference.difference) > config.reconciliationTolerance + Number.EPSILON);
+
+    return { matched: differences.length === 0, differences };
+}
+
+/**
+ * Describes the differences found by reconcile, e.g. 'taxTotal 7.13 vs 7.20'.
+ * @param {Array<object>} differences The differences.
+ * @returns {string} The description.
+ */
+function describeDifferences(differences) {
+    return differences.map(difference => `${difference.field} ${difference.invoice.toFixed(2)} vs ${difference.order.toFixed(2)}`).join(', ');
+}
+
+/**
+ * Holds an order whose invoice totals do not match the order, so its invoice
+ * is not rendered, printed, emailed or fulfilled until someone reviews it.
+ * @param {string} orderKey The order key.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} reconciliation The result of reconcile.
+ * @param {string} actor What was processing the order, for the audit log.
+ */
+async function holdForReview(orderKey, store, order, reconciliation, actor) {
+    const description = describeDifferences(reconciliation.differences);
+    await orderState.updateOrder(orderKey, {
+        status: 'needs-review',
+        review: { detectedAt: new Date().toISOString(), differences: reconciliation.differences }
+    });
+
+    logger.forStore(store).warn(`🔎 Invoice totals for order ${order.orderNumber} do not match the order (${description}); held for review`);
+    await auditLog.record('needs-review', { store, orderKey, orderNumber: order.orderNumber, actor, details: { differences: reconciliation.differences } });
+    await desktopNotifier.notifyError('Invoice needs review', `Order ${order.orderNumber}: ${description}`);
+}
+
+/**
+ * Accepts a held invoice as it is, so the order can continue to rendering and printing.
+ * @param {string} orderKey The order key.
+ * @param {string} actor Who approved it, for the audit log.
+ * @returns {Promise<object|null>} The updated record, or null if the order is not held for review.
+ */
+async function approve(orderKey, actor) {
+    const record = await orderState.getOrderState(orderKey);
+    if (!record || record.status !== 'needs-review') {
+        return null;
+    }
+
+    logger.info(`✅ Invoice totals for order ${record.orderNumber} approved after review`);
+    await auditLog.record('review-approved', {
+        store: { id: record.store },
+        orderKey,
+        orderNumber: record.orderNumber,
+        actor,
+        details: { differences: record.review.differences }
+    });
+    return orderState.updateOrder(orderKey, {
+        status: 'pending',
+        review: { ...record.review, approvedAt: new Date().toISOString(), approvedBy: actor }
+    });
+}
+
+/**
+ * Clears a held order's review, so its invoice is prepared and checked again
+ * (e.g. after the order or the VAT settings were corrected).
+ * @param {string} orderKey The order key.
+ * @returns {Promise<object|null>} The updated record, or null if the order is not held for review.
+ */
+async function resetForRecheck(orderKey) {
+    const record = await orderState.getOrderState(orderKey);
+    if (!record || record.status !== 'needs-review') {
+        return null;
+    }
+
+    logger.info(`🔁 Checking the invoice totals for order ${record.orderNumber} again after review`);
+    return orderState.updateOrder(orderKey, { status: 'pending', review: null });
+}
+
+/**
+ * Lists the orders held for review.
+ * @returns {Promise<Array<object>>} One entry per held order, oldest first.
+ */
+async function getPendingReviews() {
+    const records = await orderState.getAllOrderStates();
+    return Object.values(records)
+        .filter(record => record.status === 'needs-review')
+        .map(record => ({
+            orderKey: record.orderKey,
+            store: record.store,
+            orderNumber: record.orderNumber,
+            detectedAt: record.review.detectedAt,
+            differences: record.review.differences
+        }))
+        .sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+}
+
+/**
+ * Gets the orders whose totals mismatch was found within a time range,
+ * whether or not they have been reviewed since.
+ * @param {Date} from Start of the range (inclusive).
+ * @param {Date} to End of the range (exclusive).
+ * @returns {Promise<Array<object>>} The orders, oldest first.
+ */
+async function getMismatchesBetween(from, to) {
+    const records = await orderState.getAllOrderStates();
+    return Object.values(records)
+        .filter(record => {
+            const detectedAt = record.review ? new Date(record.review.detectedAt) : null;
+            return detectedAt && detectedAt >= from && detectedAt < to;
+        })
+        .map(record => ({
+            orderKey: record.orderKey,
+            store: record.store || config.legacyStoreId,
+            orderNumber: record.orderNumber,
+            pending: record.status === 'needs-review',
+            detectedAt: record.review.detectedAt,
+            differences: record.review.differences
+        }))
+        .sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+}
+
+module.exports = {
+    validateSettings,
+    reconcile,
+    describeDifferences,
+    holdForReview,
+    approve,
+    resetForRecheck,
+    getPendingReviews,
+    getMismatchesBetween,
+};
@@ -0,0 +1,403 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-file');
+const { getOrderKey, getInvoiceNumber } = require('../utils/helpers');
+const invoiceGenerator = require('./invoice-generator');
+const printerService = require('./printer-service');
+const paymentDetails = require('./payment-details');
+const invoiceReconciliation = require('./invoice-reconciliation');
+const desktopNotifier = require('./desktop-notifier');
+const auditLog = require('./audit-log');
+
+const revisionsPath = path.join('data', 'invoice-revisions.json');
+
+// Order fields that end up on the invoice. Status fields (fulfillment,
+// refunds) are left out: cancellations and refunds get credit notes instead.
+const INVOICED_FIELDS = ['customerEmail', 'billingAddress', 'shippingAddress', 'subtotal', 'shippingTotal', 'discountTotal', 'taxTotal', 'grandTotal'];
+const INVOICED_LINE_FIELDS = ['sku', 'productName', 'quantity', 'unitPrice', 'unitPricePaid', 'variantOptions'];
+
+// In-memory copy of the revisions file, loaded on first use
+let revisions = null;
+
+/**
+ * Loads the invoiced snapshot of every order, keyed by order key.
+ * @returns {Promise<object>} The revision records.
+ */
+async function loadRevisions() {
+    if (revisions) {
+        return revisions;
+    }
+
+    revisions = {};
+    try {
+        if (await fs.pathExists(revisionsPath)) {
+            revisions = await fs.readJson(revisionsPath);
+        }
+    } catch (error) {
+        logger.error('Error reading invoice revisions file:', error);
+    }
+    return revisions;
+}
+
+/**
+ * Copies the given keys of an object, leaving out the missing ones.
+ * @param {object} source The object.
+ * @param {Array<string>} keys The keys to copy.
+ * @returns {object} The copy.
+ */
+function pick(source, keys) {
+    const picked = {};
+    for (const key of keys) {
+        if (source[key] !== undefined && source[key] !== null) {
+            picked[key] = source[key];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Extracts the order data that is printed on the invoice.
+ * @param {object} order The order object from Squarespace.
+ * @returns {object} The invoiced fields.
+ */
+function getInvoicedData(order) {
+    return {
+        ...pick(order, INVOICED_FIELDS),
+        lineItems: (order.lineItems || []).map(item => pick(item, INVOICED_LINE_FIELDS)),
+        shippingLines: (order.shippingLines || []).map(line => pick(line, ['method', 'amount'])),
+        discountLines: (order.discountLines || []).map(line => pick(line, ['name', 'promoCode', 'amount']))
+    };
+}
+
+/**
+ * Extracts what an invoice charged, so a later credit note can reverse
+ * exactly that, whatever has changed in the order or the catalog since.
+ * @param {object} invoiceData The rendered invoice data (see invoice-generator prepareInvoice).
+ * @returns {object} The invoice number, item lines, VAT breakdown and totals.
+ */
+function getInvoicedTotals(invoiceData) {
+    return {
+        invoiceNumber: invoiceData.INVOICE_NUMBER,
+        items: invoiceData.items,
+        vatBreakdown: invoiceData.vatBreakdown,
+        netTotal: invoiceData.netTotal,
+        vatTotal: invoiceData.vatTotal,
+        grandTotal: invoiceData.grandTotal
+    };
+}
+
+/**
+ * Serializes a value with object keys sorted, so the same data always gives
+ * the same fingerprint whatever order the API returns the keys in.
+ * @param {*} value The value.
+ * @returns {string} The JSON.
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Fingerprints the invoiced data of an order.
+ * @param {object} data The invoiced fields (see getInvoicedData).
+ * @returns {string} The SHA-256 hex digest.
+ */
+function getFingerprint(data) {
+    return crypto.createHash('sha256').update(stableStringify(data)).digest('hex');
+}
+
+/**
+ * Lists the differences between two versions of the invoiced data, one
+ * entry per changed value, e.g. { field: 'shippingAddress.address1', before, after }.
+ * @param {*} before The invoiced version.
+ * @param {*} after The current version.
+ * @param {string} [prefix] The path of the values being compared.
+ * @returns {Array<object>} The differences.
+ */
+function diff(before, after, prefix = '') {
+    const isContainer = value => value !== null && typeof value === 'object';
+    if (!isContainer(before) || !isContainer(after) || Array.isArray(before) !== Array.isArray(after)) {
+        return stableStringify(before) === stableStringify(after) ? [] : [{ field: prefix, before, after }];
+    }
+
+    const keys = Array.isArray(before)
+        ? Array.from({ length: Math.max(before.length, after.length) }, (value, index) => index)
+        : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diff(before[key], after[key], prefix ? `${prefix}.${key}` : String(key)));
+}
+
+/**
+ * Records the order data an invoice was generated from, and what it charged.
+ * @param {object} order The order object the invoice was generated from.
+ * @param {object} store The store profile the order belongs to.
+ * @param {string} pdfPath The invoice PDF.
+ * @param {object} [invoiceData] The rendered invoice data; unknown for
+ * orders invoiced before it was kept.
+ */
+async function recordInvoiced(order, store, pdfPath, invoiceData = null) {
+    const current = await loadRevisions();
+    const orderKey = getOrderKey(store, order.orderNumber);
+    const data = getInvoicedData(order);
+
+    current[orderKey] = {
+        store: store.id,
+        orderNumber: order.orderNumber,
+        orderId: order.id,
+        invoiceNumber: getInvoiceNumber(store, order.orderNumber),
+        revision: 0,
+        pdfPath,
+        fingerprint: getFingerprint(data),
+        data,
+        invoiced: invoiceData ? getInvoicedTotals(invoiceData) : null,
+        invoicedAt: new Date().toISOString(),
+        change: null,
+        history: []
+    };
+    await writeJsonAtomic(revisionsPath, current);
+}
+
+/**
+ * Compares an invoiced order with the data its invoice was generated from,
+ * and flags it when they differ. Orders invoiced before fingerprints were
+ * kept get their current data recorded as the baseline.
+ * @param {object} order The latest order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {string} pdfPath The order's invoice PDF.
+ * @param {string} actor What fetched the order, for the audit log.
+ * @returns {Promise<object|null>} The newly flagged change, or null.
+ */
+async function checkForChanges(order, store, pdfPath, actor) {
+    const current = await loadRevisions();
+    const orderKey = getOrderKey(store, order.orderNumber);
+    const record = current[orderKey];
+    const data = getInvoicedData(order);
+    const fingerprint = getFingerprint(data);
+
+    if (!record) {
+        await recordInvoiced(order, store, pdfPath);
+        return null;
+    }
+    if (fingerprint === record.fingerprint) {
+        if (record.change) {
+            // Edited back to what was invoiced
+            logger.forStore(store).info(`Order ${order.orderNumber} matches its invoice again; clearing the change flag`);
+            record.change = null;
+            await writeJsonAtomic(revisionsPath, current);
+        }
+        return null;
+    }
+    if (record.change && record.change.fingerprint === fingerprint) {
+        return null;
+    }
+
+    record.change = {
+        detectedAt: new Date().toISOString(),
+        fingerprint,
+        data,
+        differences: diff(record.data, data)
+    };
+    await writeJsonAtomic(revisionsPath, current);
+
+    const fields = record.change.differences.map(difference => difference.field);
+    logger.forStore(store).warn(`✏️  Order ${order.orderNumber} changed after invoice ${record.invoiceNumber} was issued: ${fields.join(', ')}`);
+    await auditLog.record('changed', {
+        store,
+        orderKey,
+        orderNumber: order.orderNumber,
+        actor,
+        details: { invoiceNumber: record.invoiceNumber, differences: record.change.differences }
+    });
+    return record.change;
+}
+
+/**
+ * Issues a corrected invoice for a changed order. The corrected invoice gets
+ * the next revision number (e.g. INV-1042-R1), references the invoice it
+ * replaces, and is printed if AUTO_PRINT is on; the replaced invoice is
+ * recorded as void.
+ * @param {object} order The latest order object from Squarespace.
+ * @param {object} store The store profile, with any routed template and printer.
+ * @param {string} actor Who asked for the reissue, for the audit log.
+ * @returns {Promise<object|null>} The updated revision record, or null if the order has no pending change.
+ */
+async function reissue(order, store, actor) {
+    const current = await loadRevisions();
+    const orderKey = getOrderKey(store, order.orderNumber);
+    const record = current[orderKey];
+    if (!record || !record.change) {
+        return null;
+    }
+
+    const revision = record.revision + 1;
+    const replaces = record.invoiceNumber;
+    const invoiceNumber = `${getInvoiceNumber(store, order.orderNumber)}-R${revision}`;
+
+    const payment = await paymentDetails.getPaymentDetails(store, order);
+    const invoiceData = await invoiceGenerator.prepareInvoice(order, store, payment, { invoiceNumber, replaces });
+
+    // A corrected invoice is not held on a totals mismatch: the invoice it
+    // replaces is already known to be wrong, so the mismatch is reported instead
+    const reconciliation = invoiceReconciliation.reconcile(order, invoiceData);
+    if (!reconciliation.matched) {
+        const description = invoiceReconciliation.describeDifferences(reconciliation.differences);
+        logger.forStore(store).warn(`🔎 Corrected invoice ${invoiceNumber} for order ${order.orderNumber} does not match the order (${description})`);
+        await desktopNotifier.notifyError('Corrected invoice does not match the order', `Order ${order.orderNumber}: ${description}`);
+    }
+
+    const pdfPath = await invoiceGenerator.renderInvoice(order, store, invoiceData);
+    if (config.autoPrint) {
+        await printerService.printFile(pdfPath, store);
+    }
+
+    const now = new Date().toISOString();
+    // The order may have changed again since it was flagged
+    const data = getInvoicedData(order);
+    current[orderKey] = {
+        ...record,
+        invoiceNumber,
+        revision,
+        pdfPath,
+        fingerprint: getFingerprint(data),
+        data,
+        invoiced: getInvoicedTotals(invoiceData),
+        invoicedAt: now,
+        change: null,
+        history: [...record.history, {
+            invoiceNumber: replaces,
+            pdfPath: record.pdfPath,
+            invoiced: record.invoiced || null,
+            invoicedAt: record.invoicedAt,
+            voidedAt: now,
+            replacedBy: invoiceNumber,
+            differences: diff(record.data, data)
+        }]
+    };
+    await writeJsonAtomic(revisionsPath, current);
+
+    const entry = { store, orderKey, orderNumber: order.orderNumber, actor };
+    await auditLog.record('voided', { ...entry, details: { invoiceNumber: replaces, replacedBy: invoiceNumber } });
+    await auditLog.record('reissued', {
+        ...entry,
+        details: {
+            invoiceNumber,
+            replaces,
+            pdfPath,
+            ...await auditLog.hashFile(pdfPath),
+            printed: config.autoPrint,
+            ...(reconciliation.matched ? {} : { differences: reconciliation.differences })
+        }
+    });
+    logger.forStore(store).info(`🧾 Issued corrected invoice ${invoiceNumber} for order ${order.orderNumber}, replacing ${replaces}`);
+    return current[orderKey];
+}
+
+/**
+ * Accepts an order's change without reissuing: the current data becomes the
+ * baseline, so the change is not flagged again.
+ * @param {string} orderKey The order key.
+ * @param {string} actor Who dismissed the change, for the audit log.
+ * @returns {Promise<boolean>} False if the order has no pending change.
+ */
+async function dismissChange(orderKey, actor) {
+    const current = await loadRevisions();
+    const record = current[orderKey];
+    if (!record || !record.change) {
+        return false;
+    }
+
+    const { change } = record;
+    record.fingerprint = change.fingerprint;
+    record.data = change.data;
+    record.change = null;
+    record.history.push({ invoiceNumber: record.invoiceNumber, dismissedAt: new Date().toISOString(), differences: change.differences });
+    await writeJsonAtomic(revisionsPath, current);
+
+    await auditLog.record('change-dismissed', {
+        store: { id: record.store },
+        orderKey,
+        orderNumber: record.orderNumber,
+        actor,
+        details: { invoiceNumber: record.invoiceNumber, differences: change.differences }
+    });
+    return true;
+}
+
+/**
+ * Gets an order's revision record.
+ * @param {string} orderKey The order key.
+ * @returns {Promise<object|null>} The record, or null if none was kept.
+ */
+async function getRevision(orderKey) {
+    const current = await loadRevisions();
+    return current[orderKey] || null;
+}
+
+/**
+ * Lists the orders that changed after invoicing and await a decision.
+ * @returns {Promise<Array<object>>} One entry per changed order, oldest first.
+ */
+async function getPendingChanges() {
+    const current = await loadRevisions();
+    return Object.entries(current)
+        .filter(([, record]) => record.change)
+        .map(([orderKey, record]) => ({
+            orderKey,
+            store: record.store,
+            orderNumber: record.orderNumber,
+            invoiceNumber: record.invoiceNumber,
+            detectedAt: record.change.detectedAt,
+            differences: record.change.differences
+        }))
+        .sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+}
+
+/**
+ * Adds up the invoices issued within a time range, less the ones voided by a
+ * corrected invoice within it. Only invoices whose totals were kept count.
+ * @param {Date} from Start of the range (inclusive).
+ * @param {Date} to End of the range (exclusive).
+ * @returns {Promise<{invoiceCount: number, invoicedAmount: number}>} The number
+ * of invoices issued and their total, net of the voided ones.
+ */
+async function getInvoicedBetween(from, to) {
+    const current = await loadRevisions();
+    const inRange = timestamp => {
+        const date = new Date(timestamp);
+        return date >= from && date < to;
+    };
+
+    let invoiceCount = 0;
+    let invoicedAmount = 0;
+    for (const record of Object.values(current)) {
+        const invoices = [record, ...record.history].filter(invoice => invoice.invoiced);
+        for (const invoice of invoices.filter(invoice => inRange(invoice.invoicedAt))) {
+            invoiceCount += 1;
+            invoicedAmount += invoice.invoiced.grandTotal;
+        }
+        for (const voided of invoices.filter(invoice => invoice.voidedAt && inRange(invoice.voidedAt))) {
+            invoicedAmount -= voided.invoiced.grandTotal;
+        }
+    }
+    return { invoiceCount, invoicedAmount: Math.round(invoicedAmount * 100) / 100 };
+}
+
+module.exports = {
+    getInvoicedData,
+    getFingerprint,
+    diff,
+    recordInvoiced,
+    checkForChanges,
+    reissue,
+    dismissChange,
+    getRevision,
+    getPendingChanges,
+    getInvoicedBetween,
+};
@@ -0,0 +1,306 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-file');
+
+const orderStatePath = path.join('data', 'order-state.json');
+const legacyProcessedOrdersPath = path.join('data', 'processed-orders.json');
+
+// Pipeline steps in the order they run
+const STEPS = ['fetched', 'invoiceGenerated', 'printed', 'emailed', 'fulfilled'];
+
+// In-memory copy of the state file; every change is written through atomically
+let state = null;
+let loading = null;
+
+// Writes are chained so concurrent updates (poll and webhook) never interleave
+let writeQueue = Promise.resolve();
+
+/**
+ * Loads the state file, importing data/processed-orders.json the first time.
+ * @returns {Promise<object>} The state ({ orders: { [orderKey]: record } }).
+ */
+async function loadState() {
+    if (state) {
+        return state;
+    }
+    if (!loading) {
+        loading = readState().then(loaded => {
+            state = loaded;
+            return state;
+        }, error => {
+            loading = null;
+            throw error;
+        });
+    }
+    return loading;
+}
+
+/**
+ * Reads the state from disk, migrating the legacy processed orders list.
+ * @returns {Promise<object>} The state.
+ */
+async function readState() {
+    try {
+        if (await fs.pathExists(orderStatePath)) {
+            const saved = await fs.readJson(orderStatePath);
+            if (saved && saved.orders && typeof saved.orders === 'object') {
+                await resetInterrupted(saved);
+                return saved;
+            }
+            logger.warn('Order state file has an unexpected format, starting empty');
+        }
+    } catch (error) {
+        // A corrupt file must not be silently replaced: processed orders would be reprinted
+        logger.error('Error reading order state file:', error);
+        throw error;
+    }
+
+    const fresh = { version: 1, orders: {} };
+    await migrateLegacyOrders(fresh);
+    return fresh;
+}
+
+/**
+ * Marks orders left in progress by a crash or a forced exit as failed, so the
+ * retry queue picks them up and finishes the steps they did not complete.
+ * Only one process uses the state at a time (see utils/process-lock), so on
+ * load nothing can really be in progress.
+ * @param {object} saved The state read from disk.
+ */
+async function resetInterrupted(saved) {
+    const now = new Date().toISOString();
+    const interrupted = Object.values(saved.orders).filter(record => record.status === 'in-progress');
+    if (interrupted.length === 0) {
+        return;
+    }
+
+    for (const record of interrupted) {
+        const step = STEPS.find(name => !record.steps[name]) || 'fulfilled';
+        record.status = 'failed';
+        record.lastError = { step, message: 'Processing was interrupted before this step finished', at: now };
+        record.nextRetryAt = null;
+        record.updatedAt = now;
+    }
+    await writeJsonAtomic(orderStatePath, saved);
+    logger.warn(`⚠️  ${interrupted.length} order(s) were interrupted mid-processing and will be retried: ${interrupted.map(record => record.orderNumber).join(', ')}`);
+}
+
+/**
+ * Imports the order keys from data/processed-orders.json as completed
+ * orders, then renames the old file so it is not imported again.
+ * @param {object} fresh The empty state to import into.
+ */
+async function migrateLegacyOrders(fresh) {
+    if (!await fs.pathExists(legacyProcessedOrdersPath)) {
+        return;
+    }
+
+    const legacy = await fs.readJson(legacyProcessedOrdersPath);
+    const now = new Date().toISOString();
+    for (const orderKey of Array.isArray(legacy) ? legacy : []) {
+        fresh.orders[orderKey] = {
+            orderKey,
+            status: 'completed',
+            legacy: true,
+            attempts: 1,
+            steps: {},
+            lastError: null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    await writeJsonAtomic(orderStatePath, fresh);
+    await fs.move(legacyProcessedOrdersPath, `${legacyProcessedOrdersPath}.migrated`, { overwrite: true });
+    logger.info(`📦 Migrated ${Object.keys(fresh.orders).length} processed orders to ${orderStatePath}`);
+}
+
+/**
+ * Queues an atomic write of the current state.
+ * @returns {Promise<void>} Resolves once the state is on disk.
+ */
+function persist() {
+    const write = writeQueue.then(() => writeJsonAtomic(orderStatePath, state));
+    // Keep the chain alive after a failed write; the caller still sees the error
+    writeQueue = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Waits for the queued state writes to reach the disk.
+ * @returns {Promise<void>} Resolves once the last queued write has finished.
+ */
+function flush() {
+    return writeQueue;
+}
+
+/**
+ * Gets the pipeline record for an order.
+ * @param {string} orderKey The order key (see getOrderKey).
+ * @returns {Promise<object|null>} The record, or null if the order was never seen.
+ */
+async function getOrderState(orderKey) {
+    const current = await loadState();
+    return current.orders[orderKey] || null;
+}
+
+/**
+ * Gets every pipeline record.
+ * @returns {Promise<object>} The records, keyed by order key.
+ */
+async function getAllOrderStates() {
+    const current = await loadState();
+    return current.orders;
+}
+
+/**
+ * Starts a processing attempt for an order, creating its record on first sight.
+ * @param {string} orderKey The order key.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} order The order object from Squarespace.
+ * @returns {Promise<object>} The updated record.
+ */
+async function startAttempt(orderKey, store, order) {
+    const current = await loadState();
+    const now = new Date().toISOString();
+    const record = current.orders[orderKey] || {
+        orderKey,
+        store: store.id,
+        orderNumber: order.orderNumber,
+        orderId: order.id,
+        status: 'pending',
+        attempts: 0,
+        steps: { fetched: { at: now } },
+        lastError: null,
+        createdAt: now
+    };
+
+    record.status = 'in-progress';
+    delete record.holdReason;
+    record.attempts++;
+    record.lastAttemptAt = now;
+    record.updatedAt = now;
+    current.orders[orderKey] = record;
+
+    await persist();
+    return record;
+}
+
+/**
+ * Records that a pipeline step finished for an order.
+ * @param {string} orderKey The order key.
+ * @param {string} step One of STEPS.
+ * @param {object} [details] Extra details to keep with the step (e.g. pdfPath).
+ */
+async function completeStep(orderKey, step, details = {}) {
+    if (!STEPS.includes(step)) {
+        throw new Error(`Unknown pipeline step: ${step}`);
+    }
+    const current = await loadState();
+    const record = current.orders[orderKey];
+    const now = new Date().toISOString();
+
+    record.steps[step] = { ...details, at: now };
+    record.updatedAt = now;
+    await persist();
+}
+
+/**
+ * Records a failed processing attempt.
+ * @param {string} orderKey The order key.
+ * @param {string} step The step that failed.
+ * @param {Error} error The error.
+ * @param {object} [retry] What happens next (see retry-queue).
+ * @param {Date} [retry.nextRetryAt] When the order is due for another attempt.
+ * @param {boolean} [retry.deadLetter] True if the order has used up its attempts.
+ * @returns {Promise<object>} The updated record.
+ */
+async function recordFailure(orderKey, step, error, retry = {}) {
+    const current = await loadState();
+    const record = current.orders[orderKey];
+    const now = new Date().toISOString();
+
+    record.status = retry.deadLetter ? 'dead-letter' : 'failed';
+    record.failures = (record.failures || 0) + 1;
+    record.lastError = { step, message: error.message, at: now };
+    record.nextRetryAt = retry.nextRetryAt ? retry.nextRetryAt.toISOString() : null;
+    if (retry.deadLetter) {
+        record.deadLetteredAt = now;
+    }
+    record.updatedAt = now;
+    await persist();
+    return record;
+}
+
+/**
+ * Updates an order's status outside the normal pipeline (dashboard actions).
+ * @param {string} orderKey The order key.
+ * @param {object} changes The fields to change.
+ * @returns {Promise<object|null>} The updated record, or null if the order is unknown.
+ */
+async function updateOrder(orderKey, changes) {
+    const current = await loadState();
+    const record = current.orders[orderKey];
+    if (!record) {
+        return null;
+    }
+
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    await persist();
+    return record;
+}
+
+/**
+ * Marks an order as fully processed.
+ * @param {string} orderKey The order key.
+ */
+async function completeOrder(orderKey) {
+    const current = await loadState();
+    const record = current.orders[orderKey];
+    const now = new Date().toISOString();
+
+    record.status = 'completed';
+    record.nextRetryAt = null;
+    record.completedAt = now;
+    record.updatedAt = now;
+    await persist();
+}
+
+/**
+ * Records an order that will never be invoiced (e.g. cancelled before processing).
+ * @param {string} orderKey The order key.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} order The order object from Squarespace.
+ * @param {string} reason Why the order was skipped.
+ */
+async function markSkipped(orderKey, store, order, reason) {
+    const current = await loadState();
+    const now = new Date().toISOString();
+
+    current.orders[orderKey] = {
+        ...(current.orders[orderKey] || { steps: { fetched: { at: now } }, attempts: 0, createdAt: now }),
+        orderKey,
+        store: store.id,
+        orderNumber: order.orderNumber,
+        orderId: order.id,
+        status: 'skipped',
+        skipReason: reason,
+        lastError: null,
+        updatedAt: now
+    };
+    await persist();
+}
+
+module.exports = {
+    STEPS,
+    getOrderState,
+    getAllOrderStates,
+    startAttempt,
+    completeStep,
+    recordFailure,
+    updateOrder,
+    completeOrder,
+    markSkipped,
+    flush,
+};
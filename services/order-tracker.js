@@ -1,220 +1,923 @@
-const cron = require('node-cron');
 const fs = require('fs-extra');
-const path = require('path');
 const config = require('../config/app');
 const logger = require('../utils/logger');
 const squarespaceApi = require('./squarespace-api');
+const squarespaceClient = require('./squarespace-client');
 const invoiceGenerator = require('./invoice-generator');
 const printerService = require('./printer-service');
 const emailNotifier = require('./email-notifier');
 const soundAlert = require('./sound-alert');
 const desktopNotifier = require('./desktop-notifier');
 const reportGenerator = require('./report-generator');
+const syncCheckpoint = require('./sync-checkpoint');
+const fulfillmentService = require('./fulfillment-service');
+const creditNoteService = require('./credit-note-service');
+const productCatalog = require('./product-catalog');
+const paymentDetails = require('./payment-details');
+const orderState = require('./order-state');
+const retryQueue = require('./retry-queue');
+const pluginManager = require('./plugin-manager');
+const scheduler = require('./scheduler');
+const trackerControls = require('./tracker-controls');
+const routingRules = require('./routing-rules');
+const auditLog = require('./audit-log');
+const invoiceRevisions = require('./invoice-revisions');
+const invoiceReconciliation = require('./invoice-reconciliation');
+const systemDiagnostics = require('./system-diagnostics');
+const taxEngine = require('./tax-engine');
+const { getOrderKey } = require('../utils/helpers');
 
-const processedOrdersPath = path.join('data', 'processed-orders.json');
-let cronJob = null;
+// Every poll looks back at least this far so failed orders are retried
+const MIN_LOOKBACK_MS = 2 * 60 * 60 * 1000;
+
+// Order keys currently in the pipeline, shared by polling and webhooks
+const inFlightOrders = new Set();
+
+// The poll in progress, shared so a manual check never overlaps a scheduled one
+let activePoll = null;
+
+// Set once shutdown starts; no new order enters the pipeline after that
+let shuttingDown = false;
+let startupPollTimer = null;
+
+// How often drain() checks whether the orders in progress have finished
+const DRAIN_CHECK_INTERVAL_MS = 200;
+
+/**
+ * Warns when orders recorded by the single-store setup (keyed by their plain
+ * order number) belong to no store profile: their store now builds different
+ * keys, so they would be invoiced, printed and emailed again.
+ */
+async function checkLegacyOrderKeys() {
+    if (config.stores.some(store => store.legacyOrderKeys)) {
+        return;
+    }
+    
+    const plainKeys = Object.keys(await orderState.getAllOrderStates()).filter(orderKey => !orderKey.includes(':'));
+    if (plainKeys.length > 0) {
+        logger.warn(`⚠️  ${plainKeys.length} orders were processed before store profiles were set up, but no store has "legacyOrderKeys": true; set it on the store they came from, or they will be invoiced again`);
+    }
+}
 
 /**
- * Starts the order tracking service.
+ * Starts the order tracking service and the other scheduled jobs.
  */
 function start() {
     logger.info('Starting order tracking service...');
     
-    // Validate polling interval
-    if (!config.pollingIntervalMinutes || config.pollingIntervalMinutes < 1) {
-        logger.error('Invalid polling interval. Must be at least 1 minute.');
-        throw new Error('Invalid polling interval configuration');
+    // Validate every enabled schedule before starting any of them
+    const scheduleErrors = scheduler.validateSchedules();
+    if (scheduleErrors.length > 0) {
+        scheduleErrors.forEach(error => logger.error(`❌ ${error}`));
+        throw new Error('Invalid schedule configuration');
     }
     
-    // Create cron expression for every N minutes
-    const cronExpression = `*/${config.pollingIntervalMinutes} * * * *`;
-    logger.info(`Setting up cron job with expression: ${cronExpression}`);
+    // Load the routing rules now so a mistake in the file stops startup
+    routingRules.loadRules();
     
-    // Validate cron expression
-    if (!cron.validate(cronExpression)) {
-        logger.error(`Invalid cron expression: ${cronExpression}`);
-        throw new Error('Invalid cron expression');
+    // Compile every invoice template in use, so a broken one stops startup too
+    const templateErrors = invoiceGenerator.validateTemplates([
+        ...config.stores.map(store => store.template),
+        ...routingRules.getRules().map(rule => rule.then.template).filter(Boolean)
+    ]);
+    if (templateErrors.length > 0) {
+        templateErrors.forEach(error => logger.error(`❌ ${error}`));
+        throw new Error('Invalid invoice template');
     }
     
-    // Schedule to run every POLLING_INTERVAL_MINUTES
-    cronJob = cron.schedule(cronExpression, async () => {
-        try {
-            await processOrders();
-        } catch (error) {
-            logger.error('Error in scheduled order processing:', error);
-        }
-    }, {
-        scheduled: true,
-        timezone: "Europe/Athens" // Adjust timezone as needed
-    });
+    // Wrong VAT rates would put wrong amounts on every invoice
+    const taxErrors = taxEngine.validateTaxSettings();
+    if (taxErrors.length > 0) {
+        taxErrors.forEach(error => logger.error(`❌ ${error}`));
+        throw new Error('Invalid VAT configuration');
+    }
     
-    logger.info(`✅ Order tracking scheduled to run every ${config.pollingIntervalMinutes} minutes`);
+    const reconciliationErrors = invoiceReconciliation.validateSettings();
+    if (reconciliationErrors.length > 0) {
+        reconciliationErrors.forEach(error => logger.error(`❌ ${error}`));
+        throw new Error('Invalid reconciliation configuration');
+    }
     
-    // Schedule daily reports at 9 AM
-    const dailyReportJob = cron.schedule('0 9 * * *', async () => {
-        try {
-            await reportGenerator.sendDailyReport();
-        } catch (error) {
-            logger.error('Error sending daily report:', error);
-        }
-    }, { scheduled: true, timezone: "Europe/Athens" });
+    scheduler.schedule('polling', 'order polling', pollIfActive);
     
-    // Schedule weekly reports on Monday at 9 AM
-    const weeklyReportJob = cron.schedule('0 9 * * 1', async () => {
-        try {
-            await reportGenerator.sendWeeklyReport();
-        } catch (error) {
-            logger.error('Error sending weekly report:', error);
-        }
-    }, { scheduled: true, timezone: "Europe/Athens" });
+    // Load plugins now so a broken plugin shows up at startup, not on the first order
+    pluginManager.getPlugins();
     
-    // Schedule cleanup of old reports monthly
-    const cleanupJob = cron.schedule('0 0 1 * *', async () => {
-        try {
-            await reportGenerator.cleanupOldReports();
-        } catch (error) {
-            logger.error('Error cleaning up old reports:', error);
-        }
-    }, { scheduled: true, timezone: "Europe/Athens" });
+    checkLegacyOrderKeys().catch(error => {
+        logger.error('Error checking legacy order keys:', error);
+    });
     
-    logger.info('✅ Automated reporting scheduled');
+    scheduler.schedule('dailyReport', 'daily report', () => reportGenerator.sendDailyReport());
+    scheduler.schedule('weeklyReport', 'weekly report', () => reportGenerator.sendWeeklyReport());
+    scheduler.schedule('reportCleanup', 'report cleanup', () => reportGenerator.cleanupOldReports());
+    scheduler.schedule('healthCheck', 'health check', () => systemDiagnostics.performHealthCheck());
+    scheduler.schedule('catalogSync', 'product catalog sync', () => productCatalog.syncAllCatalogs());
     
-    // Run immediately on startup (optional - remove if not desired)
-    setTimeout(async () => {
-        try {
-            await processOrders();
-        } catch (error) {
-            logger.error('Error in initial order processing:', error);
-        }
-    }, 5000); // Wait 5 seconds after startup
+    // Fill the catalog right away, so invoices can use the cached catalog without waiting on the network
+    if (config.schedules.catalogSync.enabled) {
+        productCatalog.syncAllCatalogs().catch(error => {
+            logger.error('Error in initial catalog sync:', error);
+        });
+    }
+    
+    // Run immediately on startup; this also catches up on any downtime
+    // since the last successful sync
+    if (config.schedules.polling.enabled) {
+        startupPollTimer = setTimeout(async () => {
+            startupPollTimer = null;
+            try {
+                await pollIfActive();
+            } catch (error) {
+                logger.error('Error in initial order processing:', error);
+            }
+        }, 5000); // Wait 5 seconds after startup
+    }
 }
 
 /**
- * Stops the order tracking service.
+ * Stops the order tracking service and the other scheduled jobs.
  */
 function stop() {
-    if (cronJob) {
-        cronJob.destroy();
-        cronJob = null;
-        logger.info('Order tracking service stopped');
+    if (startupPollTimer) {
+        clearTimeout(startupPollTimer);
+        startupPollTimer = null;
+    }
+    scheduler.stopAll();
+    logger.info('Order tracking service stopped');
+}
+
+/**
+ * Stops the scheduled jobs, refuses new orders and waits for the orders in
+ * progress to finish their current step.
+ * @param {number} timeoutMs How long to wait.
+ * @returns {Promise<boolean>} True if everything finished in time.
+ */
+async function drain(timeoutMs) {
+    shuttingDown = true;
+    stop();
+    
+    const deadline = Date.now() + timeoutMs;
+    if (activePoll || inFlightOrders.size > 0) {
+        logger.info(`⏳ Waiting up to ${Math.round(timeoutMs / 1000)}s for ${inFlightOrders.size} order${inFlightOrders.size === 1 ? '' : 's'} in progress...`);
+    }
+    while ((activePoll || inFlightOrders.size > 0) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, DRAIN_CHECK_INTERVAL_MS));
+    }
+    
+    if (activePoll || inFlightOrders.size > 0) {
+        const pending = Array.from(inFlightOrders).join(', ') || 'none (poll still fetching)';
+        logger.warn(`⚠️  Shutdown timeout reached; orders still in progress: ${pending}. They resume from their last completed step on restart.`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Tells whether shutdown has started.
+ * @returns {boolean} True once drain() has been called.
+ */
+function isShuttingDown() {
+    return shuttingDown;
+}
+
+/**
+ * Runs a scheduled poll unless polling is paused.
+ */
+async function pollIfActive() {
+    const controls = await trackerControls.getControls();
+    if (controls.pollingPaused) {
+        logger.info(`⏸️  Polling is paused (since ${controls.pollingPausedAt}), skipping check`);
+        return;
+    }
+    await runPoll('poll');
+}
+
+/**
+ * Starts a poll, or joins the one already running.
+ * @param {string} actor What started the poll, for the audit log ('poll' or 'dashboard').
+ * @returns {Promise<void>} Resolves when the poll finishes.
+ */
+function runPoll(actor) {
+    if (!activePoll) {
+        activePoll = processOrders(actor).finally(() => {
+            activePoll = null;
+        });
+    }
+    return activePoll;
+}
+
+/**
+ * Checks for new orders right away, even while polling is paused. The
+ * check runs in the background.
+ * @returns {boolean} False if a poll was already running (the check joins it).
+ */
+function checkNow() {
+    if (shuttingDown) {
+        return false;
+    }
+    const alreadyRunning = activePoll !== null;
+    logger.info(alreadyRunning ? '🔍 Check requested; a poll is already running' : '🔍 Manual check requested');
+    runPoll('dashboard').catch(error => {
+        logger.error('Error in manual order check:', error);
+    });
+    return !alreadyRunning;
+}
+
+/**
+ * Pauses or resumes scheduled polling. Webhook orders are still processed.
+ * @param {boolean} paused True to pause.
+ * @returns {Promise<object>} The updated controls.
+ */
+async function setPollingPaused(paused) {
+    return trackerControls.setPaused('polling', paused);
+}
+
+/**
+ * Pauses or resumes printing. While paused, orders are invoiced and then held
+ * before printing; resuming prints the held orders in the background.
+ * @param {boolean} paused True to pause.
+ * @returns {Promise<object>} The updated controls.
+ */
+async function setPrintingPaused(paused) {
+    const controls = await trackerControls.setPaused('printing', paused);
+    if (!paused) {
+        releaseHeldOrders().catch(error => {
+            logger.error('Error releasing held orders:', error);
+        });
     }
+    return controls;
 }
 
 /**
- * Processes new orders.
+ * Runs the orders held while printing was paused through the rest of the pipeline.
  */
-async function processOrders() {
+async function releaseHeldOrders() {
+    const records = await orderState.getAllOrderStates();
+    const held = Object.values(records).filter(record => record.status === 'held');
+    if (held.length === 0) {
+        return;
+    }
+
+    logger.info(`▶️  Releasing ${held.length} order${held.length === 1 ? '' : 's'} held while printing was paused`);
+    for (const record of held) {
+        await retryRecord(record, 'dashboard');
+    }
+    await retryQueue.flushAlerts();
+}
+
+/**
+ * Processes new orders for every configured store.
+ * @param {string} actor What started the poll, for the audit log.
+ */
+async function processOrders(actor) {
     logger.info('🔍 Checking for new orders...');
     
+    // Stores are polled one after another; a failing store does not hold up the others
+    for (const store of config.stores) {
+        await processStoreOrders(store, actor);
+    }
+    
     try {
-        const processedOrders = await getProcessedOrders();
-        const newOrders = await squarespaceApi.getNewOrders();
-        
-        if (!newOrders || newOrders.length === 0) {
-            logger.info('No new orders found');
-            return;
+        await processRetryQueue();
+        await retryQueue.flushAlerts();
+    } catch (error) {
+        logger.error('❌ Error processing retry queue:', error);
+    }
+    
+    try {
+        await creditNoteService.printPendingCreditNotes();
+    } catch (error) {
+        logger.error('❌ Error printing pending credit notes:', error);
+    }
+}
+
+/**
+ * Retries failed orders whose backoff has elapsed. The orders are fetched
+ * again, since they may have dropped out of the polling lookback.
+ */
+async function processRetryQueue() {
+    const dueRecords = await retryQueue.getDueRetries();
+    if (dueRecords.length > 0) {
+        logger.info(`🔁 ${dueRecords.length} failed order${dueRecords.length === 1 ? '' : 's'} due for retry`);
+    }
+    
+    for (const record of dueRecords) {
+        await retryRecord(record, 'retry');
+    }
+}
+
+/**
+ * Fetches a failed order again and runs it through the pipeline.
+ * @param {object} record The order's pipeline record.
+ * @param {string} actor What triggered the retry, for the audit log.
+ * @returns {Promise<boolean>} True if the order was processed.
+ */
+async function retryRecord(record, actor) {
+    const store = config.stores.find(s => s.id === (record.store || config.legacyStoreId));
+    if (!store) {
+        logger.warn(`Cannot retry order ${record.orderKey}: store ${record.store} is no longer configured`);
+        return false;
+    }
+    if (squarespaceClient.getClient(store).isCircuitOpen()) {
+        return false;
+    }
+    
+    const order = await squarespaceApi.getOrder(store, record.orderId);
+    if (!order) {
+        logger.forStore(store).warn(`Could not fetch order ${record.orderNumber} for retry`);
+        return false;
+    }
+    return processOrder(order, store, actor);
+}
+
+/**
+ * Takes an order off the dead-letter list and retries it right away.
+ * @param {string} orderKey The order key.
+ * @returns {Promise<boolean|null>} True if the order was processed, false if it
+ * failed again, or null if it is not on the dead-letter list.
+ */
+async function retryDeadLetter(orderKey) {
+    const record = await retryQueue.requeue(orderKey);
+    if (!record) {
+        return null;
+    }
+    const processed = await retryRecord(record, 'dashboard');
+    await retryQueue.flushAlerts();
+    return processed;
+}
+
+/**
+ * Resolves an order held because its invoice totals do not match the order.
+ * 'approve' prints the invoice as it is; 'recheck' regenerates the invoice
+ * and compares the totals again.
+ * @param {string} orderKey The order key.
+ * @param {string} action 'approve' or 'recheck'.
+ * @param {string} actor Who resolved it, for the audit log.
+ * @returns {Promise<boolean|null>} True if the order was processed, false if it
+ * was held again or failed, or null if it is not held for review.
+ */
+async function resolveReview(orderKey, action, actor) {
+    const record = action === 'approve'
+        ? await invoiceReconciliation.approve(orderKey, actor)
+        : await invoiceReconciliation.resetForRecheck(orderKey);
+    if (!record) {
+        return null;
+    }
+    return retryRecord(record, actor);
+}
+
+/**
+ * Prints an order's invoice again, to the printer and copies it was first
+ * printed with, and records the reprint in the audit log.
+ * @param {string} orderKey The order key.
+ * @param {string} actor Who asked for the reprint, for the audit log.
+ * @returns {Promise<boolean>} False if the order has no invoice on disk.
+ */
+async function reprintInvoice(orderKey, actor) {
+    const record = await orderState.getOrderState(orderKey);
+    const invoice = record && record.steps.invoiceGenerated;
+    if (!invoice || !await fs.pathExists(invoice.pdfPath)) {
+        return false;
+    }
+    
+    const store = config.stores.find(s => s.id === (record.store || config.legacyStoreId)) || { id: record.store };
+    const printed = record.steps.printed || {};
+    const target = {
+        printerName: printed.printerName || store.printerName,
+        printCopies: printed.printCopies || store.printCopies
+    };
+    await printerService.printFile(invoice.pdfPath, target);
+    
+    await auditLog.record('reprinted', {
+        store,
+        orderKey,
+        orderNumber: record.orderNumber,
+        actor,
+        details: {
+            pdfPath: invoice.pdfPath,
+            printer: target.printerName || config.printerName || 'Default Printer',
+            copies: target.printCopies || config.printCopies || 1,
+            ...await auditLog.hashFile(invoice.pdfPath)
+        }
+    });
+    logger.forStore(store).info(`🖨️  Reprinted invoice for order ${record.orderNumber}`);
+    return true;
+}
+
+/**
+ * Marks an invoiced order fulfilled in Squarespace with its shipment's
+ * tracking information, for shops that fulfill once the parcel has shipped.
+ * @param {string} orderKey The order key.
+ * @param {object} tracking The tracking information (see fulfillment-service).
+ * @param {string} actor Who sent the tracking information, for the audit log.
+ * @returns {Promise<object|null>} The fulfillment result, or null if the order has not been invoiced.
+ */
+async function fulfillWithTracking(orderKey, tracking, actor) {
+    const record = await orderState.getOrderState(orderKey);
+    if (!record || !record.steps.invoiceGenerated) {
+        return null;
+    }
+    if (record.steps.fulfilled) {
+        throw new Error(`Order ${record.orderNumber} is already fulfilled`);
+    }
+    const store = config.stores.find(s => s.id === (record.store || config.legacyStoreId));
+    if (!store) {
+        throw new Error(`Store ${record.store} is no longer configured`);
+    }
+    
+    const order = await squarespaceApi.getOrder(store, record.orderId);
+    if (!order) {
+        throw new Error(`Could not fetch order ${record.orderNumber}`);
+    }
+    const result = await fulfillmentService.fulfillOrder(order, store, tracking);
+    if (!result) {
+        throw new Error(`Order ${record.orderNumber} is already fulfilled in Squarespace`);
+    }
+    if (result.status !== 'failed') {
+        await orderState.completeStep(orderKey, 'fulfilled', { status: result.status });
+        await auditLog.record('fulfilled', {
+            store,
+            orderKey,
+            orderNumber: record.orderNumber,
+            actor,
+            details: { status: result.status, trackingNumber: tracking.trackingNumber }
+        });
+    }
+    return result;
+}
+
+/**
+ * Issues credit notes and checks for changes on an already invoiced order.
+ * Failures are reported but never go through the retry queue: the order's
+ * invoice is complete, and marking it as failed would invoice it again.
+ * @param {object} order The latest order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} record The order's pipeline record.
+ * @param {string} actor What fetched the order, for the audit log.
+ */
+async function handleInvoicedOrder(order, store, record, actor) {
+    const log = logger.forStore(store);
+    try {
+        await creditNoteService.processOrderChange(order, store, actor);
+    } catch (error) {
+        log.error(`❌ Failed to issue a credit note for order ${order.orderNumber}:`, error);
+        await desktopNotifier.notifyError('Credit note failed', `Order ${order.orderNumber}: ${error.message}`);
+    }
+    try {
+        await checkInvoicedOrder(order, store, record, actor);
+    } catch (error) {
+        log.error(`❌ Failed to check order ${order.orderNumber} for changes:`, error);
+    }
+}
+
+/**
+ * Checks an invoiced order for changes since its invoice was issued, and
+ * reissues the invoice right away if REISSUE_CHANGED_INVOICES is on. A
+ * failed reissue leaves the change flagged for the dashboard.
+ * @param {object} order The latest order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} record The order's pipeline record.
+ * @param {string} actor What fetched the order, for the audit log.
+ */
+async function checkInvoicedOrder(order, store, record, actor) {
+    const invoice = record.steps.invoiceGenerated || {};
+    const change = await invoiceRevisions.checkForChanges(order, store, invoice.pdfPath || null, actor);
+    if (!change || !config.reissueChangedInvoices) {
+        return;
+    }
+    try {
+        await reissueOrderInvoice(order, store, actor);
+    } catch (error) {
+        logger.forStore(store).error(`❌ Failed to reissue the invoice for order ${order.orderNumber}:`, error);
+    }
+}
+
+/**
+ * Issues a corrected invoice for an order, with its routed template and
+ * printer, and makes it the invoice that reprints use.
+ * @param {object} order The latest order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {string} actor Who asked for the reissue, for the audit log.
+ * @returns {Promise<object|null>} The revision record, or null if the order has no pending change.
+ */
+async function reissueOrderInvoice(order, store, actor) {
+    const routedStore = routingRules.applyToStore(store, routingRules.evaluate(order, store));
+    const revision = await invoiceRevisions.reissue(order, routedStore, actor);
+    if (revision) {
+        await orderState.completeStep(getOrderKey(store, order.orderNumber), 'invoiceGenerated', { pdfPath: revision.pdfPath });
+    }
+    return revision;
+}
+
+/**
+ * Fetches a changed order and issues its corrected invoice.
+ * @param {string} orderKey The order key.
+ * @param {string} actor Who asked for the reissue, for the audit log.
+ * @returns {Promise<object|null>} The revision record, or null if the order has no pending change.
+ */
+async function reissueChangedInvoice(orderKey, actor) {
+    const revision = await invoiceRevisions.getRevision(orderKey);
+    if (!revision || !revision.change) {
+        return null;
+    }
+    const store = config.stores.find(s => s.id === revision.store);
+    if (!store) {
+        throw new Error(`Store ${revision.store} is no longer configured`);
+    }
+    if (inFlightOrders.has(orderKey)) {
+        throw new Error(`Order ${revision.orderNumber} is being processed; try again shortly`);
+    }
+    
+    inFlightOrders.add(orderKey);
+    try {
+        const order = await squarespaceApi.getOrder(store, revision.orderId);
+        if (!order) {
+            throw new Error(`Could not fetch order ${revision.orderNumber}`);
         }
+        return await reissueOrderInvoice(order, store, actor);
+    } finally {
+        inFlightOrders.delete(orderKey);
+    }
+}
+
+/**
+ * Processes a store's new orders, catching up from its last successful
+ * sync if the service was offline for longer than the regular lookback.
+ * @param {object} store The store profile.
+ * @param {string} actor What started the poll, for the audit log.
+ */
+async function processStoreOrders(store, actor) {
+    const log = logger.forStore(store);
+    const client = squarespaceClient.getClient(store);
+    
+    if (client.isCircuitOpen()) {
+        const { reopensAt } = client.getState();
+        log.warn(`⏸️  Squarespace API circuit is open after repeated failures; skipping poll until ${reopensAt}`);
+        return;
+    }
+    
+    try {
+        const now = new Date();
+        const lastSync = await syncCheckpoint.getLastSync(store.id);
+        let from = new Date(now.getTime() - MIN_LOOKBACK_MS);
         
-        logger.info(`Found ${newOrders.length} orders to check`);
+        if (lastSync && lastSync < from) {
+            const oldestAllowed = new Date(now.getTime() - config.maxCatchUpDays * 24 * 60 * 60 * 1000);
+            if (lastSync < oldestAllowed) {
+                log.warn(`Last successful sync (${lastSync.toISOString()}) is older than ${config.maxCatchUpDays} days; catching up from ${oldestAllowed.toISOString()} only. Use --since to backfill further.`);
+                from = oldestAllowed;
+            } else {
+                from = lastSync;
+            }
+            log.info(`⏩ Catching up on orders since last successful sync at ${from.toISOString()}`);
+        }
         
-        let processedCount = 0;
+        await syncRange(store, from, now, actor);
         
-        for (const order of newOrders) {
-            if (!order || !order.orderNumber) {
-                logger.warn('Invalid order object received, skipping');
-                continue;
-            }
-            
-            if (processedOrders.includes(order.orderNumber)) {
-                logger.debug(`Skipping already processed order ${order.orderNumber}`);
-                continue;
-            }
+    } catch (error) {
+        log.error('❌ Error in processOrders:', error);
+    }
+}
 
-            try {
-                logger.info(`📋 Processing new order ${order.orderNumber}`);
-                
-                // Play alert sound for new order
-                await soundAlert.playNewOrderAlert(order.orderNumber);
-                
-                // Send desktop notification
-                await desktopNotifier.notifyNewOrder(order);
-                
-                const pdfPath = await invoiceGenerator.generateInvoice(order);
-                
-                if (config.autoPrint) {
-                    await printerService.printFile(pdfPath);
-                }
-                
-                processedOrders.push(order.orderNumber);
-                await saveProcessedOrders(processedOrders);
-                
-                processedCount++;
-                logger.info(`✅ Successfully processed order ${order.orderNumber}`);
-                
-            } catch (error) {
-                logger.error(`❌ Failed to process order ${order.orderNumber}:`, error);
-                
-                // Send notification about the error
-                if (config.smtpUser && config.notificationEmail) {
-                    try {
-                        await emailNotifier.sendNotification(
-                            `Failed to process order ${order.orderNumber}`,
-                            `Error: ${error.message}\n\nOrder Details: ${JSON.stringify(order, null, 2)}`
-                        );
-                    } catch (emailError) {
-                        logger.error('Failed to send error notification:', emailError);
-                    }
-                }
-            }
+/**
+ * Manually backfills orders modified since the given date, for every store.
+ * @param {Date} since Start of the backfill range.
+ * @returns {Promise<boolean>} True if the whole range was synced for every store.
+ */
+async function backfill(since) {
+    if (!(since instanceof Date) || isNaN(since.getTime())) {
+        throw new Error('Invalid backfill start date');
+    }
+    
+    const now = new Date();
+    if (since >= now) {
+        throw new Error('Backfill start date must be in the past');
+    }
+    
+    let complete = true;
+    for (const store of config.stores) {
+        logger.forStore(store).info(`⏪ Backfilling orders since ${since.toISOString()}`);
+        if (!await syncRange(store, since, now, 'backfill')) {
+            complete = false;
         }
+    }
+    return complete;
+}
+
+/**
+ * Syncs a store's orders over a time range in bounded windows, advancing
+ * the store's checkpoint after each window whose orders were fetched completely.
+ * @param {object} store The store profile.
+ * @param {Date} from Start of the range.
+ * @param {Date} to End of the range.
+ * @param {string} actor What started the sync, for the audit log.
+ * @returns {Promise<boolean>} True if every window was fetched completely.
+ */
+async function syncRange(store, from, to, actor) {
+    const log = logger.forStore(store);
+    const windowMs = Math.max(config.syncWindowHours, 1) * 60 * 60 * 1000;
+    const windowCount = Math.ceil((to - from) / windowMs);
+    
+    if (windowCount > 1) {
+        log.info(`Syncing ${from.toISOString()} to ${to.toISOString()} in ${windowCount} windows of ${config.syncWindowHours}h`);
+    }
+    
+    let windowStart = from;
+    while (windowStart < to) {
+        const windowEnd = new Date(Math.min(windowStart.getTime() + windowMs, to.getTime()));
         
-        if (processedCount > 0) {
-            logger.info(`✅ Successfully processed ${processedCount} new orders`);
+        const complete = await processOrderWindow(store, windowStart, windowEnd, actor);
+        if (!complete) {
+            log.warn(`Order fetch for ${windowStart.toISOString()} - ${windowEnd.toISOString()} was incomplete; will resume from the last checkpoint on the next run`);
+            return false;
         }
         
-    } catch (error) {
-        logger.error('❌ Error in processOrders:', error);
+        await syncCheckpoint.saveLastSync(store.id, windowEnd);
+        windowStart = windowEnd;
     }
+    
+    return true;
 }
 
 /**
- * Gets the list of processed order numbers.
- * @returns {Promise<Array>} A promise that resolves to an array of order numbers.
+ * Fetches and processes a store's orders modified within one time window.
+ * @param {object} store The store profile.
+ * @param {Date} modifiedAfter Start of the window.
+ * @param {Date} modifiedBefore End of the window.
+ * @param {string} actor What started the sync, for the audit log.
+ * @returns {Promise<boolean>} True if the window's orders were fetched completely.
  */
-async function getProcessedOrders() {
-    try {
-        // Ensure the data directory exists
-        await fs.ensureDir(path.dirname(processedOrdersPath));
-        
-        if (await fs.pathExists(processedOrdersPath)) {
-            const data = await fs.readFile(processedOrdersPath, 'utf-8');
-            const parsed = JSON.parse(data);
-            return Array.isArray(parsed) ? parsed : [];
-        } else {
-            // Create empty file if it doesn't exist
-            await fs.writeJson(processedOrdersPath, [], { spaces: 2 });
-            return [];
+async function processOrderWindow(store, modifiedAfter, modifiedBefore, actor) {
+    const log = logger.forStore(store);
+    const newOrders = await squarespaceApi.getNewOrders(store, { modifiedAfter, modifiedBefore });
+    const fetchStats = squarespaceApi.getLastFetchStats(store);
+    const complete = !!(fetchStats && fetchStats.complete);
+    
+    if (!newOrders || newOrders.length === 0) {
+        log.info('No new orders found');
+        return complete;
+    }
+    
+    log.info(`Found ${newOrders.length} orders to check`);
+    
+    let processedCount = 0;
+    
+    for (const order of newOrders) {
+        if (shuttingDown) {
+            // Report the window as incomplete so the checkpoint stays put and the rest are fetched after restart
+            log.info('Shutdown in progress; the remaining orders will be picked up after restart');
+            return false;
         }
-    } catch (error) {
-        logger.error('Error reading processed orders file:', error);
-        return [];
+        if (await processOrder(order, store, actor)) {
+            processedCount++;
+        }
+    }
+    
+    if (processedCount > 0) {
+        log.info(`✅ Successfully processed ${processedCount} new orders`);
+    }
+    
+    return complete;
+}
+
+/**
+ * Processes an order delivered by a webhook notification through the
+ * same pipeline as polled orders.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} store The store the notification came from.
+ * @returns {Promise<boolean>} True if the order was newly processed.
+ */
+async function processIncomingOrder(order, store) {
+    const processed = await processOrder(order, store, 'webhook');
+    await retryQueue.flushAlerts();
+    return processed;
+}
+
+/**
+ * Emails the extra addresses named by the routing rules an order matched.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} routing The routing result (see routing-rules).
+ */
+async function sendRoutingNotifications(order, store, routing) {
+    if (routing.notify.length === 0 || !config.smtpUser) {
+        return;
+    }
+    
+    const tags = routing.tags.length > 0 ? `\nTags: ${routing.tags.join(', ')}` : '';
+    for (const address of routing.notify) {
+        await emailNotifier.sendNotification(
+            `Order ${order.orderNumber} (${store.name}): ${routing.matched.join(', ')}`,
+            `Order ${order.orderNumber} from ${order.customerEmail || 'unknown customer'} matched the routing rules: ${routing.matched.join(', ')}.${tags}`,
+            undefined,
+            address
+        );
     }
 }
 
 /**
- * Saves the list of processed order numbers.
- * @param {Array} orders The array of order numbers to save.
+ * Runs a single order through the pipeline: alert, invoice, print, email,
+ * fulfill. Each completed step is recorded, so an order interrupted by a
+ * crash or failure resumes from where it stopped on the next attempt.
+ * Completed orders, and orders being processed right now by another
+ * trigger (poll or webhook), are skipped; completed orders are checked for
+ * cancellations and refunds instead.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @param {string} actor What triggered the order, for the audit log
+ * ('poll', 'webhook', 'retry', 'dashboard' or 'backfill').
+ * @returns {Promise<boolean>} True if the order was newly processed.
  */
-async function saveProcessedOrders(orders) {
+async function processOrder(order, store, actor) {
+    const log = logger.forStore(store);
+    
+    if (!order || !order.orderNumber) {
+        log.warn('Invalid order object received, skipping');
+        return false;
+    }
+    
+    const orderKey = getOrderKey(store, order.orderNumber);
+    
+    if (shuttingDown) {
+        log.debug(`Not starting order ${order.orderNumber}: shutdown in progress`);
+        return false;
+    }
+    
+    if (inFlightOrders.has(orderKey)) {
+        log.debug(`Order ${order.orderNumber} is already being processed`);
+        return false;
+    }
+    
+    inFlightOrders.add(orderKey);
+    const audit = (event, details) => auditLog.record(event, { store, orderKey, orderNumber: order.orderNumber, actor, details });
+    let step = 'fetched';
     try {
-        await fs.writeJson(processedOrdersPath, orders, { spaces: 2 });
-        logger.debug(`Saved ${orders.length} processed order numbers`);
+        const record = await orderState.getOrderState(orderKey);
+        if (record && record.status === 'completed') {
+            // Already invoiced: only a cancellation, refund or change needs action
+            await handleInvoicedOrder(order, store, record, actor);
+            log.debug(`Skipping already processed order ${order.orderNumber}`);
+            return false;
+        }
+        
+        if (record && record.status === 'skipped') {
+            log.debug(`Skipping order ${order.orderNumber} (${record.skipReason})`);
+            return false;
+        }
+        
+        if (record && record.status === 'needs-review') {
+            log.debug(`Skipping order ${order.orderNumber} (invoice totals held for review)`);
+            return false;
+        }
+        
+        if (record && record.status === 'held' && (await trackerControls.getControls()).printingPaused) {
+            log.debug(`Skipping order ${order.orderNumber} (held until printing resumes)`);
+            return false;
+        }
+        
+        if (!retryQueue.isDue(record)) {
+            log.debug(`Skipping order ${order.orderNumber} (${record.status}${record.nextRetryAt ? `, next retry ${record.nextRetryAt}` : ''})`);
+            return false;
+        }
+        
+        if (order.fulfillmentStatus === 'CANCELED' && !(record && record.steps.invoiceGenerated)) {
+            log.info(`Order ${order.orderNumber} was cancelled before it was invoiced, skipping`);
+            await orderState.markSkipped(orderKey, store, order, 'cancelled before invoicing');
+            await audit('skipped', { reason: 'cancelled before invoicing' });
+            return false;
+        }
+        
+        const routing = routingRules.evaluate(order, store);
+        if (routing.skip && !(record && record.steps.invoiceGenerated)) {
+            log.info(`🧭 Order ${order.orderNumber} is not invoiced (routing rule '${routing.skipRule}')`);
+            await orderState.markSkipped(orderKey, store, order, `routing rule '${routing.skipRule}'`);
+            await audit('skipped', { reason: `routing rule '${routing.skipRule}'` });
+            return false;
+        }
+        // The invoice and print steps use the routed template, printer and copies
+        const routedStore = routingRules.applyToStore(store, routing);
+        
+        const attempt = await orderState.startAttempt(orderKey, store, order);
+        const steps = attempt.steps;
+        if (routing.matched.length > 0) {
+            await orderState.updateOrder(orderKey, { routing: { rules: routing.matched, tags: routing.tags } });
+        }
+        
+        if (attempt.attempts === 1) {
+            log.info(`📋 Processing new order ${order.orderNumber}`);
+            await audit('fetched', { orderId: order.id, grandTotal: order.grandTotal, routing: routing.matched });
+            
+            // Play alert sound for new order
+            await soundAlert.playNewOrderAlert(order.orderNumber);
+            
+            // Send desktop notification
+            await desktopNotifier.notifyNewOrder(order, store);
+            
+            await sendRoutingNotifications(order, store, routing);
+            
+            await pluginManager.runHook('onOrderFetched', { order, store, orderKey, routing });
+        } else {
+            const done = orderState.STEPS.filter(name => steps[name]).join(', ');
+            log.info(`🔁 Resuming order ${order.orderNumber} (attempt ${attempt.attempts}, done: ${done})`);
+            await audit('resumed', { attempt: attempt.attempts, done: orderState.STEPS.filter(name => steps[name]) });
+        }
+        
+        step = 'invoiceGenerated';
+        let pdfPath = steps.invoiceGenerated && steps.invoiceGenerated.pdfPath;
+        if (!pdfPath || !await fs.pathExists(pdfPath)) {
+            // Payment details are optional; the invoice shows N/A without them
+            const payment = await paymentDetails.getPaymentDetails(store, order);
+            const invoiceData = await invoiceGenerator.prepareInvoice(order, routedStore, payment);
+            
+            // An invoice that does not add up to what the customer was charged is
+            // held before it is rendered, unless someone already approved it
+            if (!(attempt.review && attempt.review.approvedAt)) {
+                const reconciliation = invoiceReconciliation.reconcile(order, invoiceData);
+                if (!reconciliation.matched) {
+                    await invoiceReconciliation.holdForReview(orderKey, store, order, reconciliation, actor);
+                    return false;
+                }
+            }
+            
+            pdfPath = await invoiceGenerator.renderInvoice(order, routedStore, invoiceData);
+            await orderState.completeStep(orderKey, 'invoiceGenerated', { pdfPath });
+            await invoiceRevisions.recordInvoiced(order, store, pdfPath, invoiceData);
+            await audit('rendered', { pdfPath, template: routedStore.template || null, ...await auditLog.hashFile(pdfPath) });
+        }
+        
+        if (config.autoPrint && !steps.printed) {
+            if ((await trackerControls.getControls()).printingPaused) {
+                await orderState.updateOrder(orderKey, { status: 'held', holdReason: 'printing paused' });
+                log.info(`⏸️  Printing is paused; order ${order.orderNumber} is held until it resumes`);
+                return false;
+            }
+            step = 'printed';
+            await printerService.printFile(pdfPath, routedStore);
+            // The printer and copies are kept so a reprint goes to the same place
+            const printTarget = { printerName: routedStore.printerName || null, printCopies: routedStore.printCopies || null };
+            await orderState.completeStep(orderKey, 'printed', printTarget);
+            await audit('printed', {
+                pdfPath,
+                printer: printTarget.printerName || config.printerName || 'Default Printer',
+                copies: routedStore.printCopies || config.printCopies || 1
+            });
+            await pluginManager.runHook('afterPrint', { order, store, pdfPath });
+        }
+        
+        if (config.emailInvoices && config.smtpUser && config.notificationEmail && !steps.emailed) {
+            step = 'emailed';
+            await emailNotifier.sendInvoice(order, pdfPath, store);
+            await orderState.completeStep(orderKey, 'emailed');
+            await audit('emailed', { to: config.notificationEmail, pdfPath });
+        }
+        
+        // Optionally mark the order fulfilled in Squarespace once it is printed
+        if (config.autoPrint && config.fulfillmentEnabled && config.fulfillmentAfterPrint && !steps.fulfilled) {
+            step = 'fulfilled';
+            const result = await fulfillmentService.fulfillOrder(order, store);
+            if (result && result.status !== 'failed') {
+                await orderState.completeStep(orderKey, 'fulfilled', { status: result.status });
+                await audit('fulfilled', { status: result.status });
+            }
+        }
+        
+        await orderState.completeOrder(orderKey);
+        await audit('completed', { attempts: attempt.attempts });
+        
+        log.info(`✅ Successfully processed order ${order.orderNumber}`);
+        return true;
+        
     } catch (error) {
-        logger.error('Error saving processed orders file:', error);
+        log.error(`❌ Failed to process order ${order.orderNumber} at step ${step}:`, error);
+        
+        // Schedule a retry; only orders that use up their attempts raise an alert
+        let record = null;
+        try {
+            record = await retryQueue.handleFailure(orderKey, step, error, store);
+        } catch (stateError) {
+            log.error('Failed to record order failure:', stateError);
+        }
+        await audit('failed', { step, error: error.message, status: record ? record.status : null });
+        await pluginManager.runHook('onFailure', { order, store, step, error, record });
+        return false;
+    } finally {
+        inFlightOrders.delete(orderKey);
     }
 }
 
 module.exports = {
     start,
     stop,
+    backfill,
+    processIncomingOrder,
+    retryDeadLetter,
+    reprintInvoice,
+    reissueChangedInvoice,
+    resolveReview,
+    fulfillWithTracking,
+    drain,
+    isShuttingDown,
+    checkNow,
+    setPollingPaused,
+    setPrintingPaused,
 };
@@ -0,0 +1,151 @@
+const logger = require('../utils/logger');
+const { formatDate, formatCurrency, parseMoney } = require('../utils/helpers');
+const squarespaceApi = require('./squarespace-api');
+
+// Payments short of the order total by less than this still count as paid
+const AMOUNT_TOLERANCE = 0.01;
+
+const PROVIDER_NAMES = {
+    STRIPE: 'Stripe',
+    PAYPAL: 'PayPal',
+    SQUARE: 'Square'
+};
+
+/**
+ * Reads the last four card digits from a payment's processor properties,
+ * when the processor provides them.
+ * @param {object} payment The payment from the Transactions API.
+ * @returns {string} The last four digits, or '' if unknown.
+ */
+function getCardLast4(payment) {
+    const properties = Array.isArray(payment.externalTransactionProperties) ? payment.externalTransactionProperties : [];
+    const property = properties.find(p => p && typeof p.name === 'string' && /last_?4/i.test(p.name));
+    return property && property.value ? String(property.value).slice(-4) : '';
+}
+
+/**
+ * Summarises a single payment.
+ * @param {object} payment The payment from the Transactions API.
+ * @returns {object} Method, card brand, last 4 digits, transaction ID, gift card ID, date and amount.
+ */
+function summarisePayment(payment) {
+    let method = 'Card';
+    if (payment.giftCardId) {
+        method = 'Gift Card';
+    } else if (payment.provider === 'PAYPAL') {
+        method = 'PayPal';
+    }
+
+    return {
+        method,
+        provider: PROVIDER_NAMES[payment.provider] || payment.provider || '',
+        cardBrand: payment.creditCardType || '',
+        last4: getCardLast4(payment),
+        transactionId: payment.externalTransactionId || '',
+        giftCardId: payment.giftCardId || '',
+        paidOn: payment.paidOn || null,
+        amount: parseMoney(payment.amount)
+    };
+}
+
+/**
+ * Looks up how an order was paid through the Transactions API.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} order The order object from Squarespace.
+ * @returns {Promise<object|null>} The payment details ({ status, payments, paidAmount, total }), or null if unavailable.
+ */
+async function getPaymentDetails(store, order) {
+    try {
+        const transaction = await squarespaceApi.getOrderTransactions(store, order.id);
+        if (!transaction) {
+            logger.forStore(store).warn(`No transactions found for order ${order.orderNumber}`);
+            return null;
+        }
+
+        const payments = (transaction.payments || []).map(summarisePayment);
+        const paidAmount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+        const total = parseMoney(order.grandTotal) || parseMoney(transaction.total);
+
+        let status = 'PAID';
+        if (paidAmount <= 0) {
+            status = 'PENDING';
+        } else if (total - paidAmount > AMOUNT_TOLERANCE) {
+            status = 'PARTIALLY_PAID';
+        }
+
+        return { status, payments, paidAmount, total };
+    } catch (error) {
+        logger.forStore(store).error(`Failed to look up payment details for order ${order.orderNumber}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Formats payment details for the invoice's receipt block,
+ * e.g. 'VISA •••• 4242 via Stripe, ch_123, 19/10/2026'.
+ * @param {object|null} details The payment details (see getPaymentDetails).
+ * @returns {string} One line per payment, separated by <br>, or 'N/A'.
+ */
+function formatReceiptInfo(details) {
+    const lines = formatReceiptLines(details);
+    return lines.length > 0 ? lines.join('<br>') : 'N/A';
+}
+
+/**
+ * Describes each payment on its own line, for templates that lay out the
+ * receipt block themselves.
+ * @param {object|null} details The payment details (see getPaymentDetails).
+ * @returns {Array<string>} One line per payment; empty if there are none.
+ */
+function formatReceiptLines(details) {
+    if (!details || details.payments.length === 0) {
+        return [];
+    }
+
+    return details.payments.map(payment => {
+        let description = payment.method;
+        if (payment.method === 'Card') {
+            description = [payment.cardBrand || 'Card', payment.last4 ? `•••• ${payment.last4}` : ''].filter(Boolean).join(' ');
+            if (payment.provider) {
+                description += ` via ${payment.provider}`;
+            }
+        }
+
+        const parts = [description];
+        if (payment.transactionId) {
+            parts.push(payment.transactionId);
+        }
+        if (payment.paidOn) {
+            parts.push(formatDate(new Date(payment.paidOn)));
+        }
+        if (details.payments.length > 1) {
+            parts.push(formatCurrency(payment.amount));
+        }
+        return parts.join(', ');
+    });
+}
+
+/**
+ * Returns the badge text for orders that are not fully paid.
+ * @param {object|null} details The payment details (see getPaymentDetails).
+ * @returns {string} The badge text, or '' if the order is paid or the details are unknown.
+ */
+function getPaymentBadge(details) {
+    if (!details) {
+        return '';
+    }
+    if (details.status === 'PENDING') {
+        return 'PAYMENT PENDING';
+    }
+    if (details.status === 'PARTIALLY_PAID') {
+        return `PARTIALLY PAID (${formatCurrency(details.paidAmount)} of ${formatCurrency(details.total)})`;
+    }
+    return '';
+}
+
+module.exports = {
+    getPaymentDetails,
+    formatReceiptInfo,
+    formatReceiptLines,
+    getPaymentBadge,
+};
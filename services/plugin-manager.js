@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+
+// Lifecycle hooks a plugin may implement, in the order they fire for an order
+const HOOKS = ['onOrderFetched', 'beforeRender', 'afterRender', 'afterPrint', 'onFailure', 'onDailyReport'];
+
+// Plugins without an explicit order run after those with one
+const DEFAULT_ORDER = 100;
+
+// Loaded plugins, sorted by order; null until loadPlugins() runs
+let plugins = null;
+
+/**
+ * Reads plugins/plugins.json, which holds each plugin's settings keyed by
+ * plugin name: { "<name>": { "enabled": true, "order": 10, "options": {} } }.
+ * @returns {object} The settings, or {} if there is no file.
+ */
+function loadPluginSettings() {
+    const settingsPath = path.join(config.pluginsDir, 'plugins.json');
+    if (!fs.existsSync(settingsPath)) {
+        return {};
+    }
+    try {
+        return fs.readJsonSync(settingsPath);
+    } catch (error) {
+        logger.error(`Failed to read ${settingsPath}, plugins run with their defaults:`, error);
+        return {};
+    }
+}
+
+/**
+ * Finds the plugin modules: every .js file in the plugins directory, and
+ * every subdirectory with an index.js.
+ * @returns {Array<string>} The module paths.
+ */
+function findPluginModules() {
+    if (!fs.existsSync(config.pluginsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(config.pluginsDir, { withFileTypes: true })
+        .map(entry => {
+            const entryPath = path.resolve(config.pluginsDir, entry.name);
+            if (entry.isFile() && entry.name.endsWith('.js')) {
+                return entryPath;
+            }
+            if (entry.isDirectory() && fs.existsSync(path.join(entryPath, 'index.js'))) {
+                return entryPath;
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Returns a logger whose lines say which plugin wrote them.
+ * @param {string} name The plugin name.
+ * @returns {object} An object with error, warn, info and debug methods.
+ */
+function createPluginLogger(name) {
+    const pluginLogger = {};
+    for (const level of ['error', 'warn', 'info', 'debug']) {
+        pluginLogger[level] = (message, ...meta) => logger[level](`🔌 ${name}: ${message}`, ...meta);
+    }
+    return pluginLogger;
+}
+
+/**
+ * Loads and orders the plugins. A plugin that fails to load is logged and
+ * left out; the others still load.
+ * @returns {Array<object>} The loaded plugins.
+ */
+function loadPlugins() {
+    const settings = loadPluginSettings();
+    const loaded = [];
+
+    for (const modulePath of findPluginModules()) {
+        const fallbackName = path.basename(modulePath, '.js');
+        try {
+            const plugin = require(modulePath);
+            const name = plugin.name && typeof plugin.name === 'string' ? plugin.name : fallbackName;
+            const pluginSettings = settings[name] || {};
+
+            if (pluginSettings.enabled === false) {
+                logger.info(`🔌 Plugin ${name} is disabled`);
+                continue;
+            }
+
+            const hooks = HOOKS.filter(hook => typeof plugin[hook] === 'function');
+            if (hooks.length === 0) {
+                logger.warn(`🔌 Plugin ${name} implements no hooks (${HOOKS.join(', ')}), skipping`);
+                continue;
+            }
+
+            loaded.push({
+                name,
+                module: plugin,
+                hooks,
+                order: Number.isFinite(pluginSettings.order) ? pluginSettings.order
+                    : Number.isFinite(plugin.order) ? plugin.order : DEFAULT_ORDER,
+                context: {
+                    options: { ...(plugin.defaults || {}), ...(pluginSettings.options || {}) },
+                    logger: createPluginLogger(name),
+                    config
+                },
+                calls: 0,
+                errors: 0,
+                lastError: null
+            });
+        } catch (error) {
+            logger.error(`❌ Failed to load plugin ${fallbackName}:`, error);
+        }
+    }
+
+    loaded.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    for (const plugin of loaded) {
+        logger.info(`🔌 Loaded plugin ${plugin.name} (order ${plugin.order}; ${plugin.hooks.join(', ')})`);
+    }
+    return loaded;
+}
+
+/**
+ * Gets the loaded plugins, loading them on first use.
+ * @returns {Array<object>} The plugins, in the order they run.
+ */
+function getPlugins() {
+    if (!plugins) {
+        plugins = loadPlugins();
+    }
+    return plugins;
+}
+
+/**
+ * Rejects after the configured hook timeout.
+ * @param {string} name The plugin name.
+ * @param {string} hook The hook name.
+ * @returns {{promise: Promise<never>, timer: object}} The timeout promise and its timer.
+ */
+function createHookTimeout(name, hook) {
+    let timer = null;
+    const promise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(new Error(`${name}.${hook} timed out after ${config.pluginHookTimeoutSeconds}s`));
+        }, config.pluginHookTimeoutSeconds * 1000);
+    });
+    return { promise, timer };
+}
+
+/**
+ * Runs a hook on every plugin that implements it, one after the other in
+ * plugin order. A plugin that throws or times out is logged and skipped, so
+ * it can never fail the order or stop the plugins after it.
+ * @param {string} hook One of HOOKS.
+ * @param {object} payload The hook's argument; plugins may modify it
+ * (e.g. payload.data in beforeRender).
+ */
+async function runHook(hook, payload) {
+    if (!HOOKS.includes(hook)) {
+        throw new Error(`Unknown plugin hook: ${hook}`);
+    }
+
+    for (const plugin of getPlugins()) {
+        if (!plugin.hooks.includes(hook)) {
+            continue;
+        }
+
+        plugin.calls++;
+        const timeout = createHookTimeout(plugin.name, hook);
+        try {
+            await Promise.race([
+                Promise.resolve().then(() => plugin.module[hook](payload, plugin.context)),
+                timeout.promise
+            ]);
+        } catch (error) {
+            plugin.errors++;
+            plugin.lastError = { hook, message: error.message, at: new Date().toISOString() };
+            logger.error(`❌ Plugin ${plugin.name} failed in ${hook}:`, error);
+        } finally {
+            clearTimeout(timeout.timer);
+        }
+    }
+}
+
+/**
+ * Gets the loaded plugins and their error counts, for the dashboard.
+ * @returns {Array<object>} One entry per plugin.
+ */
+function getPluginStatus() {
+    return getPlugins().map(plugin => ({
+        name: plugin.name,
+        order: plugin.order,
+        hooks: plugin.hooks,
+        calls: plugin.calls,
+        errors: plugin.errors,
+        lastError: plugin.lastError
+    }));
+}
+
+module.exports = {
+    HOOKS,
+    getPlugins,
+    runHook,
+    getPluginStatus,
+};
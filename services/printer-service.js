@@ -6,8 +6,11 @@ const logger = require('../utils/logger');
 /**
  * Prints a PDF file with error handling and validation.
  * @param {string} filePath The path to the PDF file.
+ * @param {object} [options] Per-store overrides.
+ * @param {string} [options.printerName] The printer to use instead of PRINTER_NAME.
+ * @param {number} [options.printCopies] The number of copies instead of PRINT_COPIES.
  */
-async function printFile(filePath) {
+async function printFile(filePath, options = {}) {
     if (!config.autoPrint) {
         logger.info('🖨️  Auto-printing is disabled. Skipping printing.');
         return;
@@ -27,8 +30,8 @@ async function printFile(filePath) {
         logger.info(`🖨️  Printing file: ${filePath} (${stats.size} bytes)`);
         
         const printOptions = {
-            printer: config.printerName || 'Default Printer',
-            copies: config.printCopies || 1,
+            printer: options.printerName || config.printerName || 'Default Printer',
+            copies: options.printCopies || config.printCopies || 1,
         };
         
         // Add additional options if needed
@@ -44,7 +47,7 @@ async function printFile(filePath) {
         
         // Log specific error types
         if (error.message.includes('printer not found') || error.message.includes('printer')) {
-            logger.error(`Check printer name: '${config.printerName}'. Available printers may be listed with 'pdf-to-printer list' command.`);
+            logger.error(`Check printer name: '${options.printerName || config.printerName}'. Available printers may be listed with 'pdf-to-printer list' command.`);
         }
         
         // Don't throw the error - printing failure shouldn't stop the entire process
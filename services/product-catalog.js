@@ -0,0 +1,168 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-file');
+const squarespaceApi = require('./squarespace-api');
+
+const catalogPath = path.join('data', 'product-catalog.json');
+
+// Product tags carrying invoice details Squarespace has no fields for
+const UNIT_TAG_PREFIX = 'unit:';
+const TAX_TAG_PREFIX = 'tax:';
+
+// In-memory copy of the catalog file, loaded on first use
+let catalog = null;
+
+/**
+ * Returns the cached catalog, reading it from disk the first time.
+ * Synchronous so invoice generation never waits on I/O or the network.
+ * @returns {object} The catalog ({ stores: { [storeId]: { syncedAt, products, variants } } }).
+ */
+function loadCatalog() {
+    if (catalog) {
+        return catalog;
+    }
+
+    catalog = { stores: {} };
+    try {
+        if (fs.pathExistsSync(catalogPath)) {
+            const saved = fs.readJsonSync(catalogPath);
+            if (saved && saved.stores && typeof saved.stores === 'object') {
+                catalog = saved;
+            }
+        }
+    } catch (error) {
+        logger.error('Error reading product catalog file:', error);
+    }
+    return catalog;
+}
+
+/**
+ * Reads the value of a prefixed tag, e.g. 'unit:kg' gives 'kg'.
+ * @param {Array} tags The product's tags.
+ * @param {string} prefix The tag prefix.
+ * @returns {string} The tag value, or '' if the product has no such tag.
+ */
+function getTagValue(tags, prefix) {
+    const tag = (tags || []).find(t => typeof t === 'string' && t.toLowerCase().startsWith(prefix));
+    return tag ? tag.slice(prefix.length).trim() : '';
+}
+
+/**
+ * Builds a store's catalog entry from the Products API response.
+ * @param {Array} products The products from the Products API.
+ * @returns {object} Products and variants keyed by their IDs.
+ */
+function buildStoreCatalog(products) {
+    const storeCatalog = { syncedAt: new Date().toISOString(), products: {}, variants: {} };
+
+    for (const product of products) {
+        const entry = {
+            name: product.name || '',
+            unit: getTagValue(product.tags, UNIT_TAG_PREFIX),
+            taxCategory: getTagValue(product.tags, TAX_TAG_PREFIX)
+        };
+        storeCatalog.products[product.id] = entry;
+
+        for (const variant of product.variants || []) {
+            storeCatalog.variants[variant.id] = {
+                productId: product.id,
+                sku: variant.sku || '',
+                attributes: variant.attributes || {}
+            };
+        }
+    }
+    return storeCatalog;
+}
+
+/**
+ * Refreshes a store's catalog from the Products API. A partial fetch
+ * leaves the previous catalog in place.
+ * @param {object} store The store profile.
+ * @returns {Promise<boolean>} True if the catalog was refreshed.
+ */
+async function syncCatalog(store) {
+    const log = logger.forStore(store);
+    log.info('🗂️  Syncing product catalog...');
+
+    const { products, complete } = await squarespaceApi.getProducts(store);
+    if (!complete) {
+        log.warn('Product catalog sync incomplete; keeping the previous catalog');
+        return false;
+    }
+
+    const current = loadCatalog();
+    const updated = { ...current, stores: { ...current.stores, [store.id]: buildStoreCatalog(products) } };
+
+    try {
+        await writeJsonAtomic(catalogPath, updated);
+    } catch (error) {
+        log.error('Error saving product catalog file:', error);
+        return false;
+    }
+
+    catalog = updated;
+    log.info(`✅ Product catalog synced: ${products.length} products`);
+    return true;
+}
+
+/**
+ * Refreshes the catalog of every configured store.
+ */
+async function syncAllCatalogs() {
+    for (const store of config.stores) {
+        try {
+            await syncCatalog(store);
+        } catch (error) {
+            logger.forStore(store).error('❌ Error syncing product catalog:', error);
+        }
+    }
+}
+
+/**
+ * Looks up the catalog details for an order line item.
+ * @param {object} store The store profile the order belongs to.
+ * @param {object} lineItem The order line item.
+ * @returns {object} The SKU, variant attributes, unit and tax category ('' / {} when unknown).
+ */
+function lookupLineItem(store, lineItem) {
+    const storeCatalog = loadCatalog().stores[store.id];
+    const details = { sku: '', attributes: {}, unit: '', taxCategory: '' };
+    if (!storeCatalog || !lineItem) {
+        return details;
+    }
+
+    const variant = storeCatalog.variants[lineItem.variantId];
+    const product = storeCatalog.products[lineItem.productId || (variant && variant.productId)];
+
+    if (variant) {
+        details.sku = variant.sku;
+        details.attributes = variant.attributes;
+    }
+    if (product) {
+        details.unit = product.unit;
+        details.taxCategory = product.taxCategory;
+    }
+    return details;
+}
+
+/**
+ * Summarises the cached catalog per store.
+ * @returns {object} Sync time, product count and variant count per store id.
+ */
+function getCatalogStatus() {
+    const stores = loadCatalog().stores;
+    return Object.fromEntries(Object.entries(stores).map(([storeId, storeCatalog]) => [storeId, {
+        syncedAt: storeCatalog.syncedAt,
+        products: Object.keys(storeCatalog.products || {}).length,
+        variants: Object.keys(storeCatalog.variants || {}).length
+    }]));
+}
+
+module.exports = {
+    syncCatalog,
+    syncAllCatalogs,
+    lookupLineItem,
+    getCatalogStatus,
+};
@@ -3,7 +3,12 @@ const path = require('path');
 const moment = require('moment');
 const config = require('../config/app');
 const logger = require('../utils/logger');
+const { formatCurrency, getOrderKey } = require('../utils/helpers');
 const emailNotifier = require('./email-notifier');
+const creditNoteService = require('./credit-note-service');
+const invoiceRevisions = require('./invoice-revisions');
+const invoiceReconciliation = require('./invoice-reconciliation');
+const pluginManager = require('./plugin-manager');
 
 /**
  * Generates daily report for processed orders
@@ -14,18 +19,22 @@ async function generateDailyReport() {
         const today = moment().format('YYYY-MM-DD');
         const logFile = path.join('logs', 'app.log');
         
+        const amounts = await getAmountSummary(moment().startOf('day').toDate(), moment().endOf('day').toDate());
+        
         if (!await fs.pathExists(logFile)) {
-            return { orders: [], total: 0, date: today };
+            return { date: today, orders: [], total: 0, byStore: {}, ...amounts, generatedAt: new Date().toISOString() };
         }
 
         const logs = await fs.readFile(logFile, 'utf-8');
         const lines = logs.split('\n').filter(line => line.includes(today));
         
+        // Lines from a multi-store setup carry a [storeId] tag before the message
+        const untaggedStoreId = config.stores.length === 1 ? config.stores[0].id : 'default';
         const processedOrders = lines
             .filter(line => line.includes('Successfully processed order'))
             .map(line => {
-                const match = line.match(/Successfully processed order (\w+)/);
-                return match ? match[1] : null;
+                const match = line.match(/(?:\[([\w-]+)\] )?\S*\s*Successfully processed order (\w+)/);
+                return match ? getOrderKey({ id: match[1] || untaggedStoreId }, match[2]) : null;
             })
             .filter(Boolean);
 
@@ -33,6 +42,8 @@ async function generateDailyReport() {
             date: today,
             orders: processedOrders,
             total: processedOrders.length,
+            byStore: countByStore(processedOrders),
+            ...amounts,
             generatedAt: new Date().toISOString()
         };
 
@@ -59,9 +70,19 @@ async function generateWeeklyReport() {
         const startOfWeek = moment().startOf('week').format('YYYY-MM-DD');
         const endOfWeek = moment().endOf('week').format('YYYY-MM-DD');
         
+        const amounts = await getAmountSummary(moment(startOfWeek).startOf('day').toDate(), moment(endOfWeek).endOf('day').toDate());
+        
         const reportDir = path.join('reports');
         if (!await fs.pathExists(reportDir)) {
-            return { orders: [], total: 0, period: `${startOfWeek} to ${endOfWeek}` };
+            return {
+                period: `${startOfWeek} to ${endOfWeek}`,
+                orders: [],
+                total: 0,
+                byStore: {},
+                ...amounts,
+                dailyBreakdown: [],
+                generatedAt: new Date().toISOString()
+            };
         }
 
         const files = await fs.readdir(reportDir);
@@ -88,6 +109,8 @@ async function generateWeeklyReport() {
             period: `${startOfWeek} to ${endOfWeek}`,
             orders: uniqueOrders,
             total: uniqueOrders.length,
+            byStore: countByStore(uniqueOrders),
+            ...amounts,
             dailyBreakdown: dailyReports.map(r => ({
                 date: r.date,
                 count: r.total
@@ -108,6 +131,94 @@ async function generateWeeklyReport() {
     }
 }
 
+/**
+ * Counts processed orders per store
+ * @param {Array} orderKeys - Order keys (see getOrderKey)
+ * @returns {Object} Order counts keyed by store id
+ */
+function countByStore(orderKeys) {
+    return orderKeys.reduce((counts, key) => {
+        const storeId = key.includes(':') ? key.split(':')[0] : config.legacyStoreId;
+        counts[storeId] = (counts[storeId] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/**
+ * Rounds an amount to cents, without a negative zero
+ * @param {number} amount - The amount
+ * @returns {number} The rounded amount
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100 || 0;
+}
+
+/**
+ * Summarises what was invoiced and credited within a time range, and the
+ * invoice totals mismatches found in it
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Object} Invoiced amount, credit notes, mismatches and the
+ * invoiced amount net of the credit notes (netTotal)
+ */
+async function getAmountSummary(from, to) {
+    const invoiced = await invoiceRevisions.getInvoicedBetween(from, to);
+    const creditNotes = await getCreditNoteSummary(from, to);
+    const mismatches = await getMismatchSummary(from, to);
+    
+    return {
+        ...invoiced,
+        ...creditNotes,
+        ...mismatches,
+        netTotal: roundAmount(invoiced.invoicedAmount - creditNotes.creditedAmount)
+    };
+}
+
+/**
+ * Summarises the credit notes issued within a time range
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Object} Credit notes, credited amount and cancelled order count
+ */
+async function getCreditNoteSummary(from, to) {
+    const notes = await creditNoteService.getCreditNotesBetween(from, to);
+    
+    return {
+        creditNotes: notes.map(note => ({
+            number: note.number,
+            store: note.store || config.legacyStoreId,
+            orderNumber: note.orderNumber,
+            reason: note.reason,
+            amount: note.amount
+        })),
+        creditedAmount: roundAmount(notes.reduce((sum, note) => sum + note.amount, 0)),
+        cancelledOrders: new Set(notes
+            .filter(note => note.reason === 'CANCELED')
+            .map(note => getOrderKey({ id: note.store || config.legacyStoreId }, note.orderNumber))).size
+    };
+}
+
+/**
+ * Summarises the invoices held because their totals did not match the order
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Object} Mismatches found in the range and orders still awaiting review
+ */
+async function getMismatchSummary(from, to) {
+    const mismatches = await invoiceReconciliation.getMismatchesBetween(from, to);
+    const pending = await invoiceReconciliation.getPendingReviews();
+    
+    return {
+        mismatches: mismatches.map(mismatch => ({
+            store: mismatch.store,
+            orderNumber: mismatch.orderNumber,
+            pending: mismatch.pending,
+            description: invoiceReconciliation.describeDifferences(mismatch.differences)
+        })),
+        pendingReviews: pending.length
+    };
+}
+
 /**
  * Generates HTML report for email
  * @param {Object} report - Report data
@@ -169,11 +280,48 @@ function generateHTMLReport(report, type) {
                     <h2>📊 Summary</h2>
                     <p><strong>Period:</strong> ${period}</p>
                     <p><strong>Total Orders Processed:</strong> ${report.total}</p>
+                    ${config.stores.length > 1 && report.byStore ? config.stores.map(store => `
+                        <p><strong>${store.name}:</strong> ${report.byStore[store.id] || 0}</p>
+                    `).join('') : ''}
+                    ${report.invoicedAmount !== undefined ? `
+                        <p><strong>Invoiced:</strong> ${formatCurrency(report.invoicedAmount)} (${report.invoiceCount} invoices)</p>
+                    ` : ''}
+                    ${report.creditNotes && report.creditNotes.length > 0 ? `
+                        <p><strong>Credit Notes Issued:</strong> ${report.creditNotes.length} (${formatCurrency(report.creditedAmount)})</p>
+                        <p><strong>Net Invoiced (after credit notes):</strong> ${formatCurrency(report.netTotal)}</p>
+                    ` : ''}
+                    ${report.mismatches && report.mismatches.length > 0 ? `
+                        <p><strong>Invoice Totals Mismatches:</strong> ${report.mismatches.length} (${report.pendingReviews} awaiting review)</p>
+                    ` : ''}
                     <p><strong>Generated:</strong> ${moment(report.generatedAt).format('YYYY-MM-DD HH:mm:ss')}</p>
                 </div>
                 
                 ${dailyBreakdownHTML}
                 
+                ${report.creditNotes && report.creditNotes.length > 0 ? `
+                    <div class="order-list">
+                        <h3>↩️ Credit Notes</h3>
+                        ${report.creditNotes.map(note => `
+                            <div class="order-item">
+                                <strong>${note.number}</strong> for order #${note.orderNumber}
+                                (${note.reason === 'CANCELED' ? 'cancelled' : 'refund'}): ${formatCurrency(note.amount)}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                
+                ${report.mismatches && report.mismatches.length > 0 ? `
+                    <div class="order-list">
+                        <h3>🔎 Invoice Totals Mismatches</h3>
+                        ${report.mismatches.map(mismatch => `
+                            <div class="order-item">
+                                <strong>Order #${mismatch.orderNumber}</strong>: ${mismatch.description}
+                                ${mismatch.pending ? '(awaiting review)' : '(reviewed)'}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                
                 ${report.orders.length > 0 ? `
                     <div class="order-list">
                         <h3>📋 Processed Orders</h3>
@@ -196,19 +344,20 @@ function generateHTMLReport(report, type) {
 }
 
 /**
- * Sends daily report via email
+ * Generates the daily report, hands it to plugins and sends it via email
  * @param {boolean} force - Force send even if no orders
  */
 async function sendDailyReport(force = false) {
     try {
+        const report = await generateDailyReport();
+        await pluginManager.runHook('onDailyReport', { report });
+
         if (!config.smtpUser || !config.notificationEmail) {
             logger.debug('Email not configured, skipping daily report');
             return;
         }
-
-        const report = await generateDailyReport();
         
-        if (report.total === 0 && !force) {
+        if (report.total === 0 && report.creditNotes.length === 0 && report.mismatches.length === 0 && !force) {
             logger.info('No orders processed today, skipping daily report');
             return;
         }
@@ -242,7 +391,7 @@ async function sendWeeklyReport(force = false) {
 
         const report = await generateWeeklyReport();
         
-        if (report.total === 0 && !force) {
+        if (report.total === 0 && report.creditNotes.length === 0 && report.mismatches.length === 0 && !force) {
             logger.info('No orders processed this week, skipping weekly report');
             return;
         }
@@ -0,0 +1,151 @@
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const orderState = require('./order-state');
+const emailNotifier = require('./email-notifier');
+const desktopNotifier = require('./desktop-notifier');
+
+// Orders dead-lettered since the last alert, reported together in one summary
+let pendingAlerts = [];
+
+/**
+ * Calculates the delay before the next attempt: the base delay doubled for
+ * every consecutive failure, up to the configured maximum.
+ * @param {number} failures The number of consecutive failures so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function getBackoffDelay(failures) {
+    const minutes = Math.min(
+        config.orderRetryBaseMinutes * Math.pow(2, Math.max(failures - 1, 0)),
+        config.orderRetryMaxMinutes
+    );
+    return minutes * 60 * 1000;
+}
+
+/**
+ * Records a failed attempt and schedules the next one, or moves the order
+ * to the dead-letter list once it has used up its attempts.
+ * @param {string} orderKey The order key.
+ * @param {string} step The pipeline step that failed.
+ * @param {Error} error The error.
+ * @param {object} store The store profile the order belongs to.
+ * @returns {Promise<object>} The updated record.
+ */
+async function handleFailure(orderKey, step, error, store) {
+    const log = logger.forStore(store);
+    const current = await orderState.getOrderState(orderKey);
+    const failures = ((current && current.failures) || 0) + 1;
+
+    if (failures >= config.orderMaxAttempts) {
+        const record = await orderState.recordFailure(orderKey, step, error, { deadLetter: true });
+        log.error(`☠️  Order ${record.orderNumber} failed ${failures} times and was moved to the dead-letter list`);
+        pendingAlerts.push({ store, record });
+        return record;
+    }
+
+    const nextRetryAt = new Date(Date.now() + getBackoffDelay(failures));
+    const record = await orderState.recordFailure(orderKey, step, error, { nextRetryAt });
+    log.warn(`🔁 Order ${record.orderNumber} will be retried at ${nextRetryAt.toISOString()} (failure ${failures}/${config.orderMaxAttempts})`);
+    return record;
+}
+
+/**
+ * Tells whether an order may be attempted now.
+ * @param {object|null} record The order's pipeline record.
+ * @returns {boolean} False while a failed order is backing off, dead-lettered or dismissed.
+ */
+function isDue(record) {
+    if (!record) {
+        return true;
+    }
+    if (record.status === 'dead-letter' || record.status === 'dismissed') {
+        return false;
+    }
+    if (record.status === 'failed' && record.nextRetryAt) {
+        return new Date(record.nextRetryAt) <= new Date();
+    }
+    return true;
+}
+
+/**
+ * Gets the failed orders whose next attempt is due.
+ * @returns {Promise<Array>} The due records, oldest retry time first.
+ */
+async function getDueRetries() {
+    const records = await orderState.getAllOrderStates();
+    return Object.values(records)
+        .filter(record => record.status === 'failed' && isDue(record))
+        .sort((a, b) => String(a.nextRetryAt).localeCompare(String(b.nextRetryAt)));
+}
+
+/**
+ * Gets the dead-letter list.
+ * @returns {Promise<Array>} The dead-lettered records, most recent first.
+ */
+async function getDeadLetters() {
+    const records = await orderState.getAllOrderStates();
+    return Object.values(records)
+        .filter(record => record.status === 'dead-letter')
+        .sort((a, b) => String(b.deadLetteredAt).localeCompare(String(a.deadLetteredAt)));
+}
+
+/**
+ * Takes an order off the dead-letter list and gives it a fresh set of attempts.
+ * @param {string} orderKey The order key.
+ * @returns {Promise<object|null>} The updated record, or null if the order is not dead-lettered.
+ */
+async function requeue(orderKey) {
+    const record = await orderState.getOrderState(orderKey);
+    if (!record || record.status !== 'dead-letter') {
+        return null;
+    }
+    logger.info(`🔁 Order ${record.orderNumber} requeued from the dead-letter list`);
+    return orderState.updateOrder(orderKey, { status: 'failed', failures: 0, nextRetryAt: null, deadLetteredAt: null });
+}
+
+/**
+ * Dismisses a dead-lettered order so it is never retried.
+ * @param {string} orderKey The order key.
+ * @returns {Promise<object|null>} The updated record, or null if the order is not dead-lettered.
+ */
+async function dismiss(orderKey) {
+    const record = await orderState.getOrderState(orderKey);
+    if (!record || record.status !== 'dead-letter') {
+        return null;
+    }
+    logger.info(`🗑️  Order ${record.orderNumber} dismissed from the dead-letter list`);
+    return orderState.updateOrder(orderKey, { status: 'dismissed', nextRetryAt: null, dismissedAt: new Date().toISOString() });
+}
+
+/**
+ * Sends one summary alert for every order dead-lettered since the last call.
+ */
+async function flushAlerts() {
+    if (pendingAlerts.length === 0) {
+        return;
+    }
+    const alerts = pendingAlerts;
+    pendingAlerts = [];
+
+    const lines = alerts.map(({ store, record }) =>
+        `Order ${record.orderNumber} (${store.name}): ${record.failures} failures, last at step ${record.lastError.step}: ${record.lastError.message}`);
+    const summary = `${alerts.length} order${alerts.length === 1 ? '' : 's'} moved to the dead-letter list`;
+
+    await desktopNotifier.notifyError('Orders need attention', summary);
+
+    if (config.smtpUser && config.notificationEmail) {
+        await emailNotifier.sendNotification(
+            summary,
+            `${lines.join('\n')}\n\nRetry or dismiss them from the dashboard.`
+        );
+    }
+}
+
+module.exports = {
+    handleFailure,
+    isDue,
+    getDueRetries,
+    getDeadLetters,
+    requeue,
+    dismiss,
+    flushAlerts,
+};
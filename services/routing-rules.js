@@ -0,0 +1,277 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { parseMoney } = require('../utils/helpers');
+const productCatalog = require('./product-catalog');
+
+const ACTIONS = ['skip', 'template', 'printerName', 'printCopies', 'tags', 'notify'];
+
+// Loaded rules; null until loadRules() runs
+let rules = null;
+
+/**
+ * Turns a single value or a list into a list.
+ * @param {*} value The value.
+ * @returns {Array} The list.
+ */
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Checks whether a value matches a pattern, ignoring case. '*' in the
+ * pattern matches any run of characters (e.g. '*@example.com', 'TEE-*').
+ * @param {string} pattern The pattern.
+ * @param {string} value The value.
+ * @returns {boolean} True on a match.
+ */
+function matchesPattern(pattern, value) {
+    const escaped = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`, 'i').test(String(value || ''));
+}
+
+/**
+ * Checks whether any value matches any of a rule's patterns.
+ * @param {*} patterns A pattern or a list of patterns.
+ * @param {Array<string>} values The order values.
+ * @returns {boolean} True on a match.
+ */
+function matchesAny(patterns, values) {
+    return values.some(value => toList(patterns).some(pattern => matchesPattern(pattern, value)));
+}
+
+// Each condition takes the rule's value and the order facts (see getOrderFacts),
+// and says whether it matched and what the order had, for the dry-run explanation
+const CONDITION_CHECKS = {
+    store: (expected, facts) => ({ matched: toList(expected).includes(facts.store), detail: `store is ${facts.store}` }),
+    sku: (expected, facts) => ({ matched: matchesAny(expected, facts.skus), detail: `SKUs are ${facts.skus.join(', ') || 'none'}` }),
+    shippingMethod: (expected, facts) => ({
+        matched: matchesAny(expected, facts.shippingMethods),
+        detail: `shipping is ${facts.shippingMethods.join(', ') || 'none'}`
+    }),
+    country: (expected, facts) => ({ matched: matchesAny(expected, [facts.country]), detail: `country is ${facts.country || 'unknown'}` }),
+    total: (expected, facts) => ({
+        matched: facts.total >= (expected.min === undefined ? -Infinity : expected.min) &&
+            facts.total <= (expected.max === undefined ? Infinity : expected.max),
+        detail: `total is ${facts.total.toFixed(2)}`
+    }),
+    customerEmail: (expected, facts) => ({ matched: matchesAny(expected, [facts.customerEmail]), detail: `email is ${facts.customerEmail || 'unknown'}` }),
+    hasDigital: (expected, facts) => ({ matched: facts.hasDigital === expected, detail: `hasDigital is ${facts.hasDigital}` }),
+    hasPhysical: (expected, facts) => ({ matched: facts.hasPhysical === expected, detail: `hasPhysical is ${facts.hasPhysical}` })
+};
+const CONDITIONS = Object.keys(CONDITION_CHECKS);
+
+/**
+ * Checks that a value is a plain object (not null or an array).
+ * @param {*} value The value.
+ * @returns {boolean} True for a plain object.
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that a value is a pattern or a non-empty list of patterns.
+ * @param {*} value The condition's value.
+ * @returns {string|null} What is wrong with it, or null.
+ */
+function checkPatterns(value) {
+    const valid = typeof value === 'string' ||
+        (Array.isArray(value) && value.length > 0 && value.every(pattern => typeof pattern === 'string'));
+    return valid ? null : 'must be a string or a list of strings';
+}
+
+/**
+ * Checks a total range ({ min, max }, either one optional).
+ * @param {*} value The condition's value.
+ * @returns {string|null} What is wrong with it, or null.
+ */
+function checkRange(value) {
+    if (!isObject(value) || Object.keys(value).length === 0 || Object.keys(value).some(key => key !== 'min' && key !== 'max')) {
+        return 'must be an object with \'min\' and/or \'max\', e.g. { "min": 100 }';
+    }
+    if (Object.values(value).some(bound => typeof bound !== 'number' || !isFinite(bound))) {
+        return 'must have numbers for \'min\' and \'max\'';
+    }
+    if (value.min !== undefined && value.max !== undefined && value.min > value.max) {
+        return 'has a \'min\' greater than its \'max\'';
+    }
+    return null;
+}
+
+/**
+ * Checks a true/false condition.
+ * @param {*} value The condition's value.
+ * @returns {string|null} What is wrong with it, or null.
+ */
+function checkBoolean(value) {
+    return typeof value === 'boolean' ? null : 'must be true or false';
+}
+
+// What each condition's value must look like; a wrong shape would match every order or none
+const CONDITION_VALUES = {
+    store: checkPatterns,
+    sku: checkPatterns,
+    shippingMethod: checkPatterns,
+    country: checkPatterns,
+    total: checkRange,
+    customerEmail: checkPatterns,
+    hasDigital: checkBoolean,
+    hasPhysical: checkBoolean
+};
+
+/**
+ * Checks the rules file for unknown conditions and actions, condition values
+ * of the wrong shape, and templates that do not exist.
+ * @param {Array} loaded The rules from the file.
+ * @returns {Array<string>} One message per problem.
+ */
+function validateRules(loaded) {
+    if (!Array.isArray(loaded)) {
+        return ['Routing rules must be an array'];
+    }
+
+    const errors = [];
+    loaded.forEach((rule, index) => {
+        const label = rule && rule.name ? `Rule '${rule.name}'` : `Rule #${index + 1}`;
+        if (!rule || !isObject(rule.when) || !isObject(rule.then)) {
+            errors.push(`${label} needs a 'when' and a 'then' object`);
+            return;
+        }
+        Object.entries(rule.when).forEach(([key, value]) => {
+            if (!CONDITIONS.includes(key)) {
+                errors.push(`${label} has an unknown condition '${key}' (use ${CONDITIONS.join(', ')})`);
+                return;
+            }
+            const problem = CONDITION_VALUES[key](value);
+            if (problem) {
+                errors.push(`${label}: condition '${key}' ${problem}`);
+            }
+        });
+        Object.keys(rule.then).filter(key => !ACTIONS.includes(key)).forEach(key => {
+            errors.push(`${label} has an unknown action '${key}' (use ${ACTIONS.join(', ')})`);
+        });
+        if (rule.then.template && !fs.existsSync(path.join(__dirname, '..', 'templates', rule.then.template))) {
+            errors.push(`${label} uses template '${rule.then.template}', which is not in templates/`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Loads the routing rules from config/routing-rules.json (or
+ * ROUTING_RULES_CONFIG). Without the file, every order gets the default
+ * treatment.
+ * @returns {Array<object>} The rules, in the order they are evaluated.
+ */
+function loadRules() {
+    if (!fs.existsSync(config.routingRulesPath)) {
+        rules = [];
+        return rules;
+    }
+
+    const loaded = fs.readJsonSync(config.routingRulesPath);
+    const errors = validateRules(loaded);
+    if (errors.length > 0) {
+        errors.forEach(error => logger.error(`❌ ${error}`));
+        throw new Error(`Invalid routing rules in ${config.routingRulesPath}`);
+    }
+
+    rules = loaded.map((rule, index) => ({ ...rule, name: rule.name || `Rule #${index + 1}` }));
+    logger.info(`🧭 Loaded ${rules.length} routing rule${rules.length === 1 ? '' : 's'}`);
+    return rules;
+}
+
+/**
+ * Gets the routing rules, loading them on first use.
+ * @returns {Array<object>} The rules.
+ */
+function getRules() {
+    return rules || loadRules();
+}
+
+/**
+ * Collects the order fields the rule conditions look at.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @returns {object} The order facts.
+ */
+function getOrderFacts(order, store) {
+    const lineItems = order.lineItems || [];
+    const address = order.shippingAddress || order.billingAddress || {};
+    return {
+        store: store.id,
+        skus: lineItems.map(item => item.sku || productCatalog.lookupLineItem(store, item).sku).filter(Boolean),
+        shippingMethods: (order.shippingLines || []).map(line => line.method).filter(Boolean),
+        country: address.countryCode || '',
+        total: parseMoney(order.grandTotal),
+        customerEmail: order.customerEmail || '',
+        hasDigital: lineItems.some(item => item.lineItemType && item.lineItemType !== 'PHYSICAL_PRODUCT'),
+        hasPhysical: lineItems.some(item => !item.lineItemType || item.lineItemType === 'PHYSICAL_PRODUCT')
+    };
+}
+
+/**
+ * Evaluates the routing rules for an order. Every rule whose conditions
+ * all match contributes its actions; a later rule overrides the template,
+ * printer and copies of an earlier one, while tags and notifications add
+ * up. A matching rule with "stop": true ends the evaluation.
+ * @param {object} order The order object from Squarespace.
+ * @param {object} store The store profile the order belongs to.
+ * @returns {object} The combined actions ({ skip, skipRule, template, printerName, printCopies, tags, notify, matched })
+ * and, per rule, whether it matched and why (explanations).
+ */
+function evaluate(order, store) {
+    const facts = getOrderFacts(order, store);
+    const result = { skip: false, skipRule: null, tags: [], notify: [], matched: [], explanations: [] };
+
+    for (const rule of getRules()) {
+        const checks = Object.entries(rule.when).map(([name, expected]) => ({ condition: name, ...CONDITION_CHECKS[name](expected, facts) }));
+        const matched = checks.every(check => check.matched);
+        result.explanations.push({ rule: rule.name, matched, checks });
+        if (!matched) {
+            continue;
+        }
+
+        result.matched.push(rule.name);
+        const { skip, tags, notify, ...overrides } = rule.then;
+        if (skip && !result.skip) {
+            result.skip = true;
+            result.skipRule = rule.name;
+        }
+        Object.assign(result, overrides);
+        result.tags = [...new Set([...result.tags, ...toList(tags || [])])];
+        result.notify = [...new Set([...result.notify, ...toList(notify || [])])];
+
+        if (rule.stop) {
+            break;
+        }
+    }
+
+    return { ...result, facts };
+}
+
+/**
+ * Applies the template and printer choices of a routing result to a store
+ * profile, for the invoice and print steps.
+ * @param {object} store The store profile.
+ * @param {object} routing The routing result (see evaluate).
+ * @returns {object} The store profile with the routed template, printer and copies.
+ */
+function applyToStore(store, routing) {
+    const routed = { ...store };
+    for (const key of ['template', 'printerName', 'printCopies']) {
+        if (routing[key] !== undefined) {
+            routed[key] = routing[key];
+        }
+    }
+    return routed;
+}
+
+module.exports = {
+    loadRules,
+    getRules,
+    evaluate,
+    applyToStore,
+};
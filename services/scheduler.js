@@ -0,0 +1,272 @@
+const cron = require('node-cron');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+
+// Scheduled jobs by name ({ name, description, schedule, task, running, lastRunAt, lastError })
+const jobs = new Map();
+
+// Next run times are searched for at most this far ahead
+const MAX_LOOKAHEAD_DAYS = 366;
+
+// Allowed values of the six cron fields: seconds, minutes, hours, days, months, weekdays
+const FIELD_RANGES = [[0, 59], [0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Checks that a timezone is known to the runtime.
+ * @param {string} timezone An IANA timezone, e.g. 'Europe/Athens'.
+ * @returns {boolean} True if the timezone is valid.
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates every enabled schedule in config.schedules.
+ * @returns {Array<string>} One message per problem; empty if all are valid.
+ */
+function validateSchedules() {
+    const errors = [];
+    for (const [name, schedule] of Object.entries(config.schedules)) {
+        if (!schedule.enabled) {
+            continue;
+        }
+        if (!cron.validate(schedule.expression)) {
+            errors.push(`Invalid cron expression for ${name}: '${schedule.expression}'`);
+        }
+        if (!isValidTimezone(schedule.timezone)) {
+            errors.push(`Invalid timezone for ${name}: '${schedule.timezone}'`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Reads the wall-clock time of an instant in a timezone.
+ * @param {Date} date The instant.
+ * @param {string} timezone The timezone.
+ * @returns {number} The wall-clock time as if it were UTC, in milliseconds.
+ */
+function toWallClock(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Converts a wall-clock time in a timezone back to an instant.
+ * @param {number} wallClock The wall-clock time as if it were UTC, in milliseconds.
+ * @param {string} timezone The timezone.
+ * @returns {Date} The instant.
+ */
+function fromWallClock(wallClock, timezone) {
+    // The offset is taken at the first guess and corrected once for DST changes in between
+    let instant = wallClock - (toWallClock(new Date(wallClock), timezone) - wallClock);
+    instant = wallClock - (toWallClock(new Date(instant), timezone) - instant);
+    return new Date(instant);
+}
+
+/**
+ * Replaces month or weekday names ('Jan', 'monday') in a cron field with their numbers.
+ * @param {string} field The cron field.
+ * @param {Array<string>} names The three-letter names, in order.
+ * @param {number} first The number of the first name.
+ * @returns {string} The field with numbers only.
+ */
+function replaceNames(field, names, first) {
+    return field.replace(/[a-z]+/gi, name => String(names.indexOf(name.slice(0, 3).toLowerCase()) + first));
+}
+
+/**
+ * Expands one cron field into the values it matches. A step keeps the values
+ * divisible by it, as node-cron 3 does: a step of 20 on '5-50' is 20 and 40.
+ * @param {string} field The cron field, e.g. '*', '1-5', '0,30' or a range with a step.
+ * @param {number} min The lowest allowed value.
+ * @param {number} max The highest allowed value.
+ * @returns {Set<number>} The matching values.
+ */
+function expandField(field, min, max) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const [range, step] = part.split('/');
+        const bounds = range === '*' ? [min, max] : range.split('-').map(Number);
+        const from = Math.min(...bounds);
+        const to = Math.max(...bounds);
+        for (let value = from; value <= to; value++) {
+            if (!step || value % Number(step) === 0) {
+                values.add(value);
+            }
+        }
+    }
+    return values;
+}
+
+/**
+ * Expands a cron expression into the values each of its six fields matches.
+ * @param {string} expression A cron expression that passed cron.validate().
+ * @returns {Array<Set<number>>} Seconds, minutes, hours, days, months and weekdays.
+ */
+function parseExpression(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length === 5) {
+        fields.unshift('0');
+    }
+    fields[4] = replaceNames(fields[4], MONTH_NAMES, 1);
+    fields[5] = replaceNames(fields[5], WEEKDAY_NAMES, 0);
+
+    const sets = fields.map((field, index) => expandField(field, ...FIELD_RANGES[index]));
+    // Sunday is both 0 and 7
+    if (sets[5].has(7)) {
+        sets[5].add(0);
+    }
+    return sets;
+}
+
+/**
+ * Calculates when a cron expression next fires.
+ * @param {string} expression A cron expression node-cron accepts.
+ * @param {string} timezone The timezone it runs in.
+ * @param {Date} [from] Find the first run after this time (default: now).
+ * @returns {Date|null} The next run time, or null if the expression is invalid or there is no run within a year.
+ */
+function getNextRun(expression, timezone, from = new Date()) {
+    if (!cron.validate(expression)) {
+        return null;
+    }
+    const [seconds, minutes, hours, days, months, weekdays] = parseExpression(expression);
+
+    // Walk forward in wall-clock time, skipping whole months, days, hours and minutes that cannot match
+    const cursor = new Date(toWallClock(from, timezone) + 1000);
+    cursor.setUTCMilliseconds(0);
+    const limit = cursor.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+    while (cursor.getTime() <= limit) {
+        if (!months.has(cursor.getUTCMonth() + 1)) {
+            cursor.setUTCMonth(cursor.getUTCMonth() + 1, 1);
+            cursor.setUTCHours(0, 0, 0);
+        } else if (!days.has(cursor.getUTCDate()) || !weekdays.has(cursor.getUTCDay())) {
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+            cursor.setUTCHours(0, 0, 0);
+        } else if (!hours.has(cursor.getUTCHours())) {
+            cursor.setUTCHours(cursor.getUTCHours() + 1, 0, 0);
+        } else if (!minutes.has(cursor.getUTCMinutes())) {
+            cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0);
+        } else if (!seconds.has(cursor.getUTCSeconds())) {
+            cursor.setUTCSeconds(cursor.getUTCSeconds() + 1);
+        } else {
+            return fromWallClock(cursor.getTime(), timezone);
+        }
+    }
+    return null;
+}
+
+/**
+ * Schedules a job from its entry in config.schedules. A disabled job is
+ * registered (so it is listed) but never runs. A run that is still going
+ * when the next one is due makes that next run skip.
+ * @param {string} name The key in config.schedules.
+ * @param {string} description What the job does, for logging.
+ * @param {function(): Promise<void>} handler The job.
+ */
+function schedule(name, description, handler) {
+    const settings = config.schedules[name];
+    if (!settings) {
+        throw new Error(`No schedule configured for ${name}`);
+    }
+    const previous = jobs.get(name);
+    if (previous && previous.task) {
+        previous.task.stop();
+    }
+
+    const job = { name, description, schedule: settings, task: null, running: false, lastRunAt: null, lastError: null };
+    jobs.set(name, job);
+
+    if (!settings.enabled) {
+        logger.info(`⏸️  ${description} is disabled`);
+        return;
+    }
+
+    job.task = cron.schedule(settings.expression, async () => {
+        if (job.running) {
+            logger.warn(`⏭️  Skipping ${description}: the previous run has not finished`);
+            return;
+        }
+        job.running = true;
+        job.lastRunAt = new Date().toISOString();
+        try {
+            await handler();
+            job.lastError = null;
+        } catch (error) {
+            job.lastError = error.message;
+            logger.error(`Error in scheduled ${description}:`, error);
+        } finally {
+            job.running = false;
+        }
+    }, { scheduled: true, timezone: settings.timezone });
+
+    logger.info(`✅ ${description} scheduled: ${settings.expression} (${settings.timezone})`);
+}
+
+/**
+ * Stops every scheduled job.
+ */
+function stopAll() {
+    for (const job of jobs.values()) {
+        if (job.task) {
+            job.task.stop();
+        }
+    }
+    jobs.clear();
+}
+
+/**
+ * Lists the scheduled jobs with their next run time, for the dashboard.
+ * @returns {Array<object>} One entry per job.
+ */
+function getJobs() {
+    return Array.from(jobs.values()).map(job => ({
+        name: job.name,
+        description: job.description,
+        expression: job.schedule.expression,
+        timezone: job.schedule.timezone,
+        enabled: job.schedule.enabled,
+        running: job.running,
+        nextRunAt: job.schedule.enabled ? toIsoString(getNextRun(job.schedule.expression, job.schedule.timezone)) : null,
+        lastRunAt: job.lastRunAt,
+        lastError: job.lastError
+    }));
+}
+
+/**
+ * Formats an optional date.
+ * @param {Date|null} date The date.
+ * @returns {string|null} The ISO string, or null.
+ */
+function toIsoString(date) {
+    return date ? date.toISOString() : null;
+}
+
+module.exports = {
+    validateSchedules,
+    getNextRun,
+    schedule,
+    stopAll,
+    getJobs,
+};
@@ -1,162 +1,277 @@
-const axios = require('axios');
-const config = require('../config/app');
 const logger = require('../utils/logger');
+const squarespaceClient = require('./squarespace-client');
 
-// Create axios instance with proper configuration
-const instance = axios.create({
-    baseURL: config.squarespaceApiBaseUrl,
-    headers: {
-        'Authorization': `Bearer ${config.squarespaceApiKey}`,
-        'User-Agent': 'Squarespace-Invoice-Automation/1.0.0'
-    },
-    timeout: 30000, // 30 second timeout
-});
+// Safety net against a misbehaving cursor chain
+const MAX_PAGES = 100;
 
-// Add request interceptor for logging
-instance.interceptors.request.use(
-    (config) => {
-        logger.debug(`Making API request: ${config.method?.toUpperCase()} ${config.url}`);
-        return config;
-    },
-    (error) => {
-        logger.error('Request error:', error);
-        return Promise.reject(error);
-    }
-);
+const PRODUCTS_API_VERSION = 'v2';
 
-// Add response interceptor for logging
-instance.interceptors.response.use(
-    (response) => {
-        logger.debug(`API response: ${response.status} ${response.statusText}`);
-        return response;
-    },
-    (error) => {
-        if (error.response) {
-            logger.error(`API error: ${error.response.status} - ${error.response.statusText}`);
-        } else if (error.request) {
-            logger.error('API request failed - no response received');
+// Statistics about the most recent getNewOrders() run, per store id
+const lastFetchStats = {};
+
+/**
+ * Performs a GET request through the store's client, which handles
+ * retries, rate limiting and the circuit breaker.
+ * @param {object} store The store profile.
+ * @param {string} url The API path to request.
+ * @param {object} params Query parameters for the request.
+ * @param {string} label A description of the request, for logging.
+ * @returns {Promise<object|null>} The response body, or null if the request failed.
+ */
+async function getWithRetry(store, url, params, label) {
+    const log = logger.forStore(store);
+    try {
+        const response = await squarespaceClient.getClient(store).request({ method: 'get', url, params, label });
+        
+        // Validate response structure
+        if (!response.data) {
+            throw new Error('Invalid API response - no data');
+        }
+        
+        return response.data;
+        
+    } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') {
+            log.warn(`Skipped fetching ${label}: ${error.message}`);
         } else {
-            logger.error('API setup error:', error.message);
+            log.error(`❌ Failed to fetch ${label}: ${error.message}`);
         }
-        return Promise.reject(error);
+        return null;
     }
-);
+}
 
 /**
- * Fetches new orders from Squarespace with retry logic.
+ * Fetches new orders from Squarespace, following pagination cursors
+ * until the result set is exhausted.
+ * @param {object} store The store profile.
+ * @param {object} [options] Optional time window.
+ * @param {Date} [options.modifiedAfter] Start of the window (defaults to 2 hours ago).
+ * @param {Date} [options.modifiedBefore] End of the window (defaults to now).
  * @returns {Promise<Array>} A promise that resolves to an array of orders.
  */
-async function getNewOrders() {
-    let retries = 0;
-    const maxRetries = config.maxRetries || 3;
-    
-    while (retries <= maxRetries) {
-        try {
-            // Get orders from the last 2 hours to ensure we don't miss any
-            const modifiedAfter = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
-            const modifiedBefore = new Date().toISOString();
-            
-            logger.debug(`Fetching orders modified between ${modifiedAfter} and ${modifiedBefore}`);
-            
-            const response = await instance.get('/commerce/orders', {
-                params: { 
-                    modifiedAfter, 
-                    modifiedBefore,
-                    limit: 50 // Limit to prevent overwhelming
-                }
-            });
-            
-            // Validate response structure
-            if (!response.data) {
-                throw new Error('Invalid API response - no data');
-            }
-            
-            const orders = response.data.result || response.data || [];
-            
-            if (!Array.isArray(orders)) {
-                logger.warn('API returned non-array response for orders:', typeof orders);
-                return [];
-            }
-            
-            logger.info(`📦 Retrieved ${orders.length} orders from Squarespace API`);
-            
-            // Filter out invalid orders
-            const validOrders = orders.filter(order => {
-                if (!order || !order.orderNumber) {
-                    logger.warn('Skipping order with missing orderNumber:', order);
-                    return false;
-                }
-                return true;
-            });
-            
-            if (validOrders.length !== orders.length) {
-                logger.warn(`Filtered out ${orders.length - validOrders.length} invalid orders`);
-            }
-            
-            return validOrders;
-            
-        } catch (error) {
-            retries++;
-            
-            if (error.response) {
-                const status = error.response.status;
-                const data = error.response.data;
-                
-                // Log detailed error information
-                logger.error(`API Error ${status}: ${JSON.stringify(data)}`);
-                
-                // Handle specific error codes
-                if (status === 401) {
-                    logger.error('❌ Unauthorized - check your SQUARESPACE_API_KEY');
-                    break; // Don't retry authentication errors
-                } else if (status === 403) {
-                    logger.error('❌ Forbidden - check API permissions');
-                    break; // Don't retry permission errors
-                } else if (status === 404) {
-                    logger.error('❌ Not Found - check your SQUARESPACE_WEBSITE_ID and API_BASE_URL');
-                    break; // Don't retry not found errors
-                } else if (status >= 500) {
-                    logger.warn(`Server error ${status}, will retry (${retries}/${maxRetries})`);
-                } else {
-                    logger.error(`Client error ${status}, will retry (${retries}/${maxRetries})`);
-                }
-            } else if (error.code === 'ECONNABORTED') {
-                logger.warn(`Request timeout, will retry (${retries}/${maxRetries})`);
-            } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-                logger.warn(`Network error, will retry (${retries}/${maxRetries})`);
-            } else {
-                logger.error('Unexpected error fetching orders:', error.message);
-            }
-            
-            if (retries <= maxRetries) {
-                const delay = Math.min(1000 * Math.pow(2, retries), 10000); // Exponential backoff, max 10s
-                logger.info(`Waiting ${delay}ms before retry...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
+async function getNewOrders(store, options = {}) {
+    const log = logger.forStore(store);
+    
+    // Default to the last 2 hours to ensure we don't miss any
+    const modifiedAfter = (options.modifiedAfter || new Date(Date.now() - 2 * 60 * 60 * 1000)).toISOString();
+    const modifiedBefore = (options.modifiedBefore || new Date()).toISOString();
+    
+    log.debug(`Fetching orders modified between ${modifiedAfter} and ${modifiedBefore}`);
+    
+    const orders = [];
+    const seenCursors = new Set();
+    let params = { modifiedAfter, modifiedBefore };
+    let pages = 0;
+    let complete = false;
+    
+    while (pages < MAX_PAGES) {
+        const data = await getWithRetry(store, '/commerce/orders', params, `orders page ${pages + 1}`);
+        if (!data) {
+            break;
+        }
+        pages++;
+        
+        const pageOrders = data.result || data || [];
+        if (!Array.isArray(pageOrders)) {
+            log.warn('API returned non-array response for orders:', typeof pageOrders);
+            break;
+        }
+        orders.push(...pageOrders);
+        
+        const pagination = data.pagination || {};
+        const nextCursor = pagination.hasNextPage !== false ? pagination.nextPageCursor : null;
+        if (!nextCursor) {
+            complete = true;
+            break;
+        }
+        
+        if (seenCursors.has(nextCursor)) {
+            log.warn(`API returned a repeated pagination cursor after page ${pages}, stopping`);
+            break;
+        }
+        seenCursors.add(nextCursor);
+        
+        // The cursor encodes the original filters; Squarespace rejects other params alongside it
+        params = { cursor: nextCursor };
+    }
+    
+    if (pages >= MAX_PAGES && !complete) {
+        log.warn(`Stopped after ${MAX_PAGES} pages - result set may be truncated`);
+    }
+    
+    lastFetchStats[store.id] = {
+        timestamp: new Date().toISOString(),
+        pages,
+        orders: orders.length,
+        complete
+    };
+    
+    if (pages === 0) {
+        return [];
+    }
+    
+    log.info(`📦 Retrieved ${orders.length} orders from Squarespace API (${pages} page${pages === 1 ? '' : 's'})`);
+    if (!complete) {
+        log.warn('Order fetch incomplete - remaining pages will be picked up on the next poll');
+    }
+    
+    // Filter out invalid orders
+    const validOrders = orders.filter(order => {
+        if (!order || !order.orderNumber) {
+            log.warn('Skipping order with missing orderNumber:', order);
+            return false;
+        }
+        return true;
+    });
+    
+    if (validOrders.length !== orders.length) {
+        log.warn(`Filtered out ${orders.length - validOrders.length} invalid orders`);
+    }
+    
+    return validOrders;
+}
+
+/**
+ * Fetches a single order by its Squarespace ID.
+ * @param {object} store The store profile.
+ * @param {string} orderId The order ID (not the order number).
+ * @returns {Promise<object|null>} The order, or null if it could not be fetched.
+ */
+async function getOrder(store, orderId) {
+    if (!orderId) {
+        throw new Error('Order ID is required');
+    }
+    
+    const order = await getWithRetry(store, `/commerce/orders/${encodeURIComponent(orderId)}`, {}, `order ${orderId}`);
+    if (order && !order.orderNumber) {
+        logger.forStore(store).warn(`Order ${orderId} returned without an orderNumber`);
+        return null;
+    }
+    return order;
+}
+
+/**
+ * Fetches the transaction document for an order from the Transactions API.
+ * @param {object} store The store profile.
+ * @param {string} orderId The order ID (not the order number).
+ * @returns {Promise<object|null>} The transaction document, or null if none was found or the request failed.
+ */
+async function getOrderTransactions(store, orderId) {
+    if (!orderId) {
+        throw new Error('Order ID is required');
+    }
+    
+    // Transaction documents for orders share the order's ID
+    const data = await getWithRetry(store, `/commerce/transactions/${encodeURIComponent(orderId)}`, {}, `transactions for order ${orderId}`);
+    const documents = data && Array.isArray(data.documents) ? data.documents : [];
+    return documents.find(doc => doc.salesOrderId === orderId || doc.id === orderId) || null;
+}
+
+/**
+ * Marks an order as fulfilled in Squarespace. Only retried when the request
+ * was rejected unprocessed (e.g. 429), since a repeated POST could send the
+ * customer a second notification.
+ * @param {object} store The store profile.
+ * @param {string} orderId The order ID (not the order number).
+ * @param {object} fulfillment The fulfillment request body.
+ * @param {boolean} fulfillment.shouldSendNotification Whether Squarespace emails the customer.
+ * @param {Array} fulfillment.shipments Shipment tracking entries (may be empty).
+ */
+async function fulfillOrder(store, orderId, fulfillment) {
+    if (!orderId) {
+        throw new Error('Order ID is required');
+    }
+    
+    try {
+        await squarespaceClient.getClient(store).request({
+            method: 'post',
+            url: `/commerce/orders/${encodeURIComponent(orderId)}/fulfillments`,
+            data: fulfillment,
+            label: `fulfillment for order ${orderId}`
+        });
+    } catch (error) {
+        if (error.response) {
+            const detail = error.response.data ? JSON.stringify(error.response.data) : error.response.statusText;
+            throw new Error(`Fulfillment request failed with status ${error.response.status}: ${detail}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fetches a store's whole product catalog from the Products API,
+ * following pagination cursors.
+ * @param {object} store The store profile.
+ * @returns {Promise<{products: Array, complete: boolean}>} The products and whether every page was fetched.
+ */
+async function getProducts(store) {
+    // The Products API is versioned separately from the Commerce (orders) API
+    const url = new URL(`../${PRODUCTS_API_VERSION}/commerce/products`, store.squarespaceApiBaseUrl).toString();
+    const products = [];
+    const seenCursors = new Set();
+    let params = {};
+    let pages = 0;
+    
+    while (pages < MAX_PAGES) {
+        const data = await getWithRetry(store, url, params, `products page ${pages + 1}`);
+        if (!data || !Array.isArray(data.products)) {
+            return { products, complete: false };
+        }
+        pages++;
+        products.push(...data.products);
+        
+        const pagination = data.pagination || {};
+        const nextCursor = pagination.hasNextPage ? pagination.nextPageCursor : null;
+        if (!nextCursor) {
+            return { products, complete: true };
+        }
+        if (seenCursors.has(nextCursor)) {
+            logger.forStore(store).warn(`Products API returned a repeated pagination cursor after page ${pages}, stopping`);
+            return { products, complete: false };
         }
+        seenCursors.add(nextCursor);
+        params = { cursor: nextCursor };
     }
     
-    logger.error(`❌ Failed to fetch orders after ${maxRetries} retries`);
-    return [];
+    logger.forStore(store).warn(`Stopped after ${MAX_PAGES} product pages - catalog may be truncated`);
+    return { products, complete: false };
+}
+
+/**
+ * Returns statistics about the most recent order fetch for a store.
+ * @param {object} store The store profile.
+ * @returns {object|null} Page count, order count and completeness, or null before the first fetch.
+ */
+function getLastFetchStats(store) {
+    return lastFetchStats[store.id] || null;
 }
 
 /**
- * Health check for the Squarespace API connection
+ * Health check for a store's Squarespace API connection
+ * @param {object} store The store profile
  * @returns {Promise<boolean>} True if API is accessible
  */
-async function healthCheck() {
+async function healthCheck(store) {
     try {
-        const response = await instance.get('/commerce/orders', {
-            params: { limit: 1 }
+        const response = await squarespaceClient.getClient(store).request({
+            method: 'get',
+            url: '/commerce/orders',
+            label: 'health check',
+            maxRetries: 0
         });
         return response.status === 200;
     } catch (error) {
-        logger.error('API health check failed:', error.message);
+        logger.forStore(store).error('API health check failed:', error.message);
         return false;
     }
 }
 
 module.exports = {
     getNewOrders,
+    getOrder,
+    getOrderTransactions,
+    fulfillOrder,
+    getProducts,
+    getLastFetchStats,
     healthCheck,
 };
@@ -0,0 +1,372 @@
+const axios = require('axios');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+
+const MAX_RETRY_DELAY_MS = 10000;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// One client per store: rate limits and outages are per API key
+const clients = new Map();
+
+/**
+ * Gets the API client for a store, creating it on first use.
+ * @param {object} store The store profile.
+ * @returns {object} The client ({ request, isCircuitOpen, getState }).
+ */
+function getClient(store) {
+    if (!clients.has(store.id)) {
+        clients.set(store.id, createClient(store));
+    }
+    return clients.get(store.id);
+}
+
+/**
+ * Creates an API client with its own request budget and circuit breaker.
+ * @param {object} store The store profile.
+ * @returns {object} The client ({ request, isCircuitOpen, getState }).
+ */
+function createClient(store) {
+    const log = logger.forStore(store);
+
+    // Create axios instance with proper configuration
+    const instance = axios.create({
+        baseURL: store.squarespaceApiBaseUrl,
+        headers: {
+            'Authorization': `Bearer ${store.squarespaceApiKey}`,
+            'User-Agent': 'Squarespace-Invoice-Automation/1.0.0'
+        },
+        timeout: 30000, // 30 second timeout
+    });
+
+    // Add request interceptor for logging
+    instance.interceptors.request.use(
+        (config) => {
+            log.debug(`Making API request: ${config.method?.toUpperCase()} ${config.url}`);
+            return config;
+        },
+        (error) => {
+            log.error('Request error:', error);
+            return Promise.reject(error);
+        }
+    );
+
+    // Add response interceptor for logging
+    instance.interceptors.response.use(
+        (response) => {
+            log.debug(`API response: ${response.status} ${response.statusText}`);
+            return response;
+        },
+        (error) => {
+            if (error.response) {
+                log.error(`API error: ${error.response.status} - ${error.response.statusText}`);
+            } else if (error.request) {
+                log.error('API request failed - no response received');
+            } else {
+                log.error('API setup error:', error.message);
+            }
+            return Promise.reject(error);
+        }
+    );
+
+    // Token bucket shared by every request to this store's API
+    const bucket = {
+        capacity: Math.max(config.apiRateLimitBurst, 1),
+        tokens: Math.max(config.apiRateLimitBurst, 1),
+        refillPerMs: Math.max(config.apiRateLimitPerMinute, 1) / 60000,
+        lastRefill: Date.now(),
+        pausedUntil: 0
+    };
+
+    // Circuit breaker state: 'closed' (normal), 'open' (failing fast) or 'half-open' (probing)
+    const circuit = {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null,
+        reopensAt: null,
+        lastError: null
+    };
+
+    const stats = {
+        totalRequests: 0,
+        totalFailures: 0,
+        rateLimited: 0,
+        lastRetryAfterMs: null
+    };
+
+    /**
+     * Refills the token bucket based on elapsed time.
+     */
+    function refillTokens() {
+        const now = Date.now();
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) * bucket.refillPerMs);
+        bucket.lastRefill = now;
+    }
+
+    /**
+     * Waits until a request token is available and takes it.
+     */
+    async function acquireToken() {
+        // Honour a pause requested by a Retry-After header
+        const pauseMs = bucket.pausedUntil - Date.now();
+        if (pauseMs > 0) {
+            await sleep(pauseMs);
+        }
+
+        refillTokens();
+        while (bucket.tokens < 1) {
+            const waitMs = Math.ceil((1 - bucket.tokens) / bucket.refillPerMs);
+            log.debug(`Request budget exhausted, waiting ${waitMs}ms`);
+            await sleep(waitMs);
+            refillTokens();
+        }
+        bucket.tokens -= 1;
+    }
+
+    /**
+     * Checks whether the circuit breaker is currently rejecting requests.
+     * @returns {boolean} True while the circuit is open and cooling down.
+     */
+    function isCircuitOpen() {
+        if (circuit.state === 'open' && Date.now() >= circuit.reopensAt) {
+            circuit.state = 'half-open';
+            log.info('API circuit half-open, allowing a trial request');
+        }
+        return circuit.state === 'open';
+    }
+
+    /**
+     * Records a successful request, closing the circuit.
+     */
+    function recordSuccess() {
+        if (circuit.state !== 'closed') {
+            log.info('✅ API circuit closed, requests resumed');
+        }
+        circuit.state = 'closed';
+        circuit.consecutiveFailures = 0;
+        circuit.openedAt = null;
+        circuit.reopensAt = null;
+    }
+
+    /**
+     * Records a failed request and opens the circuit if the threshold is reached.
+     * @param {Error} error The final error of the request.
+     */
+    function recordFailure(error) {
+        stats.totalFailures++;
+        circuit.consecutiveFailures++;
+        circuit.lastError = error.message;
+
+        const threshold = Math.max(config.apiCircuitFailureThreshold, 1);
+        if (circuit.state === 'half-open' || circuit.consecutiveFailures >= threshold) {
+            const cooldownMs = config.apiCircuitCooldownMinutes * 60 * 1000;
+            circuit.state = 'open';
+            circuit.openedAt = new Date().toISOString();
+            circuit.reopensAt = Date.now() + cooldownMs;
+            log.error(`🔴 API circuit opened after ${circuit.consecutiveFailures} consecutive failures; pausing requests for ${config.apiCircuitCooldownMinutes} minutes`);
+        }
+    }
+
+    /**
+     * Performs an API request through the request budget, with retries,
+     * Retry-After handling and the circuit breaker.
+     * @param {object} options Request options.
+     * @param {string} [options.method='get'] The HTTP method.
+     * @param {string} options.url The API path.
+     * @param {object} [options.params] Query parameters.
+     * @param {object} [options.data] Request body.
+     * @param {string} [options.label] A description of the request, for logging.
+     * @param {number} [options.maxRetries] Overrides MAX_RETRIES.
+     * @param {boolean} [options.idempotent] Defaults to true for GET requests only.
+     * @returns {Promise<object>} The axios response.
+     */
+    async function request(options) {
+        const method = (options.method || 'get').toLowerCase();
+        const label = options.label || `${method.toUpperCase()} ${options.url}`;
+        const maxRetries = options.maxRetries !== undefined ? options.maxRetries : (config.maxRetries || 3);
+        const idempotent = options.idempotent !== undefined ? options.idempotent : method === 'get';
+
+        if (isCircuitOpen()) {
+            const error = new Error(`API circuit open until ${new Date(circuit.reopensAt).toISOString()}`);
+            error.code = 'CIRCUIT_OPEN';
+            throw error;
+        }
+
+        let attempt = 0;
+        while (true) {
+            await acquireToken();
+            stats.totalRequests++;
+
+            try {
+                const response = await instance.request({
+                    method,
+                    url: options.url,
+                    params: options.params,
+                    data: options.data
+                });
+                recordSuccess();
+                return response;
+
+            } catch (error) {
+                attempt++;
+                logAttemptError(log, error, label, attempt, maxRetries);
+
+                if (attempt > maxRetries || !isRetryable(error, idempotent)) {
+                    if (isServiceFailure(error)) {
+                        recordFailure(error);
+                    }
+                    throw error;
+                }
+
+                let delay = backoffDelay(attempt);
+                if (error.response && error.response.status === 429) {
+                    stats.rateLimited++;
+                    const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+                    if (retryAfter !== null) {
+                        stats.lastRetryAfterMs = retryAfter;
+                        delay = Math.min(retryAfter, MAX_RETRY_AFTER_MS) + Math.round(Math.random() * 250);
+                    }
+                    // Pause the whole bucket so other callers also back off
+                    bucket.tokens = 0;
+                    bucket.pausedUntil = Date.now() + delay;
+                }
+
+                log.info(`Waiting ${delay}ms before retry...`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Returns the client's rate limit and circuit breaker state.
+     * @returns {object} The client state.
+     */
+    function getState() {
+        isCircuitOpen();
+        refillTokens();
+        return {
+            store: store.id,
+            circuit: circuit.state,
+            consecutiveFailures: circuit.consecutiveFailures,
+            openedAt: circuit.openedAt,
+            reopensAt: circuit.reopensAt ? new Date(circuit.reopensAt).toISOString() : null,
+            lastError: circuit.lastError,
+            tokensAvailable: Math.max(Math.floor(bucket.tokens), 0),
+            rateLimitPerMinute: config.apiRateLimitPerMinute,
+            burst: bucket.capacity,
+            ...stats
+        };
+    }
+
+    return {
+        request,
+        isCircuitOpen,
+        getState,
+    };
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date).
+ * @param {string} value The header value.
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid.
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+        return Math.max(date - Date.now(), 0);
+    }
+    return null;
+}
+
+/**
+ * Calculates an exponential backoff delay with jitter.
+ * @param {number} attempt The retry attempt (1-based).
+ * @returns {number} The delay in milliseconds.
+ */
+function backoffDelay(attempt) {
+    const base = Math.min(1000 * Math.pow(2, attempt), MAX_RETRY_DELAY_MS);
+    // Equal jitter: half fixed, half random, so parallel callers spread out
+    return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+/**
+ * Decides whether a failed request can be retried.
+ * @param {Error} error The axios error.
+ * @param {boolean} idempotent Whether repeating the request is safe.
+ * @returns {boolean} True if the request should be retried.
+ */
+function isRetryable(error, idempotent) {
+    if (error.response) {
+        const status = error.response.status;
+        // A 429 was rejected before processing, so it is safe to repeat any request
+        if (status === 429) return true;
+        return idempotent && status >= 500;
+    }
+    // Connection refused/not found means the request never reached the server
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') return true;
+    return idempotent;
+}
+
+/**
+ * Tells whether an error reflects an unhealthy API (as opposed to a bad request).
+ * @param {Error} error The axios error.
+ * @returns {boolean} True if the error should count towards the circuit breaker.
+ */
+function isServiceFailure(error) {
+    if (!error.response) return true;
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Logs a failed attempt with a hint for the common status codes.
+ * @param {object} log The logger to use.
+ * @param {Error} error The axios error.
+ * @param {string} label A description of the request.
+ * @param {number} attempt The attempt number.
+ * @param {number} maxRetries The maximum number of retries.
+ */
+function logAttemptError(log, error, label, attempt, maxRetries) {
+    if (error.response) {
+        const status = error.response.status;
+        log.error(`API Error ${status} for ${label}: ${JSON.stringify(error.response.data)}`);
+
+        if (status === 401) {
+            log.error('❌ Unauthorized - check the store\'s Squarespace API key');
+        } else if (status === 403) {
+            log.error('❌ Forbidden - check API permissions');
+        } else if (status === 404) {
+            log.error('❌ Not Found - check the store\'s website ID and API base URL');
+        } else if (status === 429) {
+            log.warn(`Rate limited by Squarespace (${attempt}/${maxRetries})`);
+        } else if (status >= 500) {
+            log.warn(`Server error ${status} (${attempt}/${maxRetries})`);
+        }
+    } else if (error.code === 'ECONNABORTED') {
+        log.warn(`Request timeout (${attempt}/${maxRetries})`);
+    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+        log.warn(`Network error (${attempt}/${maxRetries})`);
+    } else {
+        log.error(`Unexpected error for ${label}:`, error.message);
+    }
+}
+
+/**
+ * Waits for the given time.
+ * @param {number} ms Milliseconds to wait.
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    getClient,
+};
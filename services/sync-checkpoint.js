@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-file');
+
+const syncStatePath = path.join('data', 'sync-state.json');
+
+/**
+ * Reads the persisted sync state.
+ * @returns {Promise<object>} The sync state object (empty if none saved yet).
+ */
+async function readState() {
+    try {
+        if (await fs.pathExists(syncStatePath)) {
+            const state = await fs.readJson(syncStatePath);
+            return state && typeof state === 'object' ? state : {};
+        }
+    } catch (error) {
+        logger.error('Error reading sync state file:', error);
+    }
+    return {};
+}
+
+/**
+ * Gets a store's entry from the sync state. Checkpoints written before
+ * multi-store support sit at the top level and belong to the default store,
+ * or to the store profile with legacyOrderKeys.
+ * @param {object} state The sync state.
+ * @param {string} storeId The store id.
+ * @returns {object} The store's sync state (empty if none saved yet).
+ */
+function getStoreState(state, storeId) {
+    if (state.stores && state.stores[storeId]) {
+        return state.stores[storeId];
+    }
+    if (storeId === config.legacyStoreId && state.lastSuccessfulSync) {
+        return { lastSuccessfulSync: state.lastSuccessfulSync };
+    }
+    return {};
+}
+
+/**
+ * Gets the time of the last successful order sync for a store.
+ * @param {string} storeId The store id.
+ * @returns {Promise<Date|null>} The high-water mark, or null if no sync has completed yet.
+ */
+async function getLastSync(storeId) {
+    const storeState = getStoreState(await readState(), storeId);
+    if (!storeState.lastSuccessfulSync) {
+        return null;
+    }
+
+    const lastSync = new Date(storeState.lastSuccessfulSync);
+    if (isNaN(lastSync.getTime())) {
+        logger.warn(`Ignoring invalid lastSuccessfulSync value for store ${storeId}: ${storeState.lastSuccessfulSync}`);
+        return null;
+    }
+    return lastSync;
+}
+
+/**
+ * Advances a store's last successful sync mark. The mark never moves
+ * backwards, so a backfill of an older range leaves it untouched.
+ * @param {string} storeId The store id.
+ * @param {Date} date The end of the range that was fully synced.
+ */
+async function saveLastSync(storeId, date) {
+    try {
+        const state = await readState();
+        const storeState = getStoreState(state, storeId);
+        const current = storeState.lastSuccessfulSync ? new Date(storeState.lastSuccessfulSync) : null;
+
+        if (current && !isNaN(current.getTime()) && current >= date) {
+            return;
+        }
+
+        // Move a legacy top-level checkpoint under the store that getStoreState reads it for
+        const { lastSuccessfulSync, updatedAt, ...rest } = state;
+        const stores = { ...(state.stores || {}) };
+        if (lastSuccessfulSync && !stores[config.legacyStoreId]) {
+            stores[config.legacyStoreId] = { lastSuccessfulSync, updatedAt };
+        }
+        stores[storeId] = {
+            lastSuccessfulSync: date.toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await writeJsonAtomic(syncStatePath, { ...rest, stores });
+        logger.debug(`Sync checkpoint for store ${storeId} advanced to ${date.toISOString()}`);
+    } catch (error) {
+        logger.error('Error saving sync state file:', error);
+    }
+}
+
+module.exports = {
+    getLastSync,
+    saveLastSync,
+};
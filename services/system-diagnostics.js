@@ -5,6 +5,8 @@ const config = require('../config/app');
 const logger = require('../utils/logger');
 const { getPrinters } = require('pdf-to-printer');
 const squarespaceApi = require('./squarespace-api');
+const squarespaceClient = require('./squarespace-client');
+const browserPool = require('./browser-pool');
 
 /**
  * Performs comprehensive system health check
@@ -19,25 +21,50 @@ async function performHealthCheck() {
         errors: []
     };
 
-    // Check API connectivity
-    try {
-        const apiHealth = await squarespaceApi.healthCheck();
-        healthStatus.components.api = {
-            status: apiHealth ? 'healthy' : 'unhealthy',
-            lastCheck: new Date().toISOString()
-        };
-        if (!apiHealth) {
-            healthStatus.errors.push('Squarespace API connection failed');
+    // Check API connectivity for every store
+    healthStatus.components.api = {
+        status: 'healthy',
+        stores: {},
+        lastCheck: new Date().toISOString()
+    };
+    for (const store of config.stores) {
+        try {
+            const apiHealth = await squarespaceApi.healthCheck(store);
+            healthStatus.components.api.stores[store.id] = { status: apiHealth ? 'healthy' : 'unhealthy' };
+            if (!apiHealth) {
+                healthStatus.errors.push(`Squarespace API connection failed for store ${store.id}`);
+                healthStatus.components.api.status = 'unhealthy';
+                healthStatus.overall = 'unhealthy';
+            }
+        } catch (error) {
+            healthStatus.components.api.stores[store.id] = { status: 'unhealthy', error: error.message };
+            healthStatus.errors.push(`API check failed for store ${store.id}: ${error.message}`);
+            healthStatus.components.api.status = 'unhealthy';
             healthStatus.overall = 'unhealthy';
         }
-    } catch (error) {
-        healthStatus.components.api = {
-            status: 'unhealthy',
-            error: error.message,
-            lastCheck: new Date().toISOString()
-        };
-        healthStatus.errors.push(`API check failed: ${error.message}`);
-        healthStatus.overall = 'unhealthy';
+    }
+
+    // Check each store's API client rate limiting and circuit breaker
+    healthStatus.components.apiClient = {
+        status: 'healthy',
+        stores: {},
+        lastCheck: new Date().toISOString()
+    };
+    for (const store of config.stores) {
+        const clientState = squarespaceClient.getClient(store).getState();
+        healthStatus.components.apiClient.stores[store.id] = clientState;
+        if (clientState.circuit === 'open') {
+            healthStatus.errors.push(`Squarespace API circuit for store ${store.id} open until ${clientState.reopensAt}`);
+            healthStatus.components.apiClient.status = 'unhealthy';
+            healthStatus.overall = 'unhealthy';
+        } else if (clientState.circuit === 'half-open') {
+            if (healthStatus.components.apiClient.status === 'healthy') {
+                healthStatus.components.apiClient.status = 'warning';
+            }
+            if (healthStatus.overall === 'healthy') {
+                healthStatus.overall = 'warning';
+            }
+        }
     }
 
     // Check printer connectivity
@@ -204,7 +231,7 @@ async function checkConfiguration() {
         lastCheck: new Date().toISOString()
     };
 
-    // Check required configuration
+    // Check required configuration for every store
     const requiredConfig = [
         'squarespaceApiKey',
         'squarespaceWebsiteId',
@@ -213,10 +240,12 @@ async function checkConfiguration() {
         'shopEmail'
     ];
 
-    for (const key of requiredConfig) {
-        if (!config[key]) {
-            health.issues.push(`Missing required configuration: ${key}`);
-            health.status = 'warning';
+    for (const store of config.stores) {
+        for (const key of requiredConfig) {
+            if (!store[key]) {
+                health.issues.push(`Missing required configuration for store ${store.id}: ${key}`);
+                health.status = 'warning';
+            }
         }
     }
 
@@ -289,8 +318,9 @@ async function generateDiagnosticReport() {
         environment: config.nodeEnv,
         healthCheck: await performHealthCheck(),
         recentActivity: await getRecentActivity(),
+        rendering: browserPool.getStats(),
         configuration: {
-            pollingInterval: config.pollingIntervalMinutes,
+            schedules: config.schedules,
             autoPrint: config.autoPrint,
             soundAlert: config.soundAlertEnabled,
             dashboard: config.dashboardEnabled,
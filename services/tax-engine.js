@@ -0,0 +1,194 @@
+const config = require('../config/app');
+const logger = require('../utils/logger');
+
+const ROUNDING_MODES = ['line', 'document'];
+
+// Unknown tax categories already warned about, so the log is not flooded
+const warnedCategories = new Set();
+
+/**
+ * Checks the VAT settings.
+ * @returns {Array<string>} One message per problem; empty if all are valid.
+ */
+function validateTaxSettings() {
+    const errors = [];
+    const rates = { standard: config.vatRate, ...config.vatCategoryRates };
+    for (const [category, rate] of Object.entries(rates)) {
+        if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+            errors.push(`VAT rate for '${category}' must be between 0 and 1 (e.g. 0.24 for 24%)`);
+        }
+    }
+    if (!(config.shippingTaxCategory in rates)) {
+        errors.push(`SHIPPING_TAX_CATEGORY '${config.shippingTaxCategory}' is not standard or in VAT_CATEGORY_RATES`);
+    }
+    if (!ROUNDING_MODES.includes(config.vatRounding)) {
+        errors.push(`VAT_ROUNDING must be ${ROUNDING_MODES.join(' or ')}, not '${config.vatRounding}'`);
+    }
+    return errors;
+}
+
+/**
+ * Gets the VAT rate for a tax category (from a product's 'tax:<category>'
+ * tag). Products without a category, or with an unknown one, get the
+ * standard rate.
+ * @param {string} [category] The tax category, e.g. 'reduced'.
+ * @returns {number} The rate, e.g. 0.13.
+ */
+function getRate(category) {
+    if (!category || category === 'standard') {
+        return config.vatRate;
+    }
+    const rate = config.vatCategoryRates[category.toLowerCase()];
+    if (rate === undefined) {
+        if (!warnedCategories.has(category)) {
+            warnedCategories.add(category);
+            logger.warn(`Unknown tax category '${category}'; using the standard VAT rate. Add it to VAT_CATEGORY_RATES.`);
+        }
+        return config.vatRate;
+    }
+    return rate;
+}
+
+/**
+ * Converts an amount to whole cents.
+ * @param {number} amount The amount.
+ * @returns {number} The amount in cents.
+ */
+function toCents(amount) {
+    return roundCents(amount * 100);
+}
+
+/**
+ * Rounds to whole cents, halves away from zero, so a negative line (a
+ * discount or credit) rounds to the same amount as its positive counterpart.
+ * @param {number} cents The amount in cents.
+ * @returns {number} The rounded amount.
+ */
+function roundCents(cents) {
+    return Math.sign(cents) * Math.round(Math.abs(cents));
+}
+
+/**
+ * Calculates the VAT contained in, or due on, an amount.
+ * @param {number} cents The amount in cents: gross when prices include tax, net otherwise.
+ * @param {number} rate The VAT rate.
+ * @param {boolean} pricesIncludeTax True if the amount includes VAT.
+ * @returns {number} The VAT in cents, unrounded.
+ */
+function vatOn(cents, rate, pricesIncludeTax) {
+    return pricesIncludeTax ? cents - cents / (1 + rate) : cents * rate;
+}
+
+/**
+ * Splits a rounded VAT amount off an amount.
+ * @param {number} cents The amount in cents: gross when prices include tax, net otherwise.
+ * @param {number} vat The VAT in cents.
+ * @param {boolean} pricesIncludeTax True if the amount includes VAT.
+ * @returns {{net: number, vat: number, gross: number}} The amounts in cents.
+ */
+function split(cents, vat, pricesIncludeTax) {
+    return pricesIncludeTax
+        ? { net: cents - vat, vat, gross: cents }
+        : { net: cents, vat, gross: cents + vat };
+}
+
+/**
+ * Converts amounts in cents back to currency units.
+ * @param {object} amounts The amounts in cents.
+ * @returns {object} The same amounts in currency units.
+ */
+function fromCents(amounts) {
+    const converted = {};
+    for (const [key, value] of Object.entries(amounts)) {
+        converted[key] = value / 100;
+    }
+    return converted;
+}
+
+/**
+ * Calculates the net, VAT and gross amounts of invoice lines. With 'line'
+ * rounding, VAT is rounded on each line and the totals add up the lines;
+ * with 'document' rounding, VAT is calculated once per rate on the summed
+ * lines, so a line total may differ from the document total by a cent.
+ * @param {Array<object>} lines The lines: { amount, rate }, where amount is
+ * the line's price as charged (quantity times unit price).
+ * @param {object} [options] Defaults to the configured mode and rounding.
+ * @param {boolean} [options.pricesIncludeTax] True if the amounts include VAT.
+ * @param {string} [options.rounding] 'line' or 'document'.
+ * @returns {{lines: Array<object>, breakdown: Array<object>, totals: object}} Per line
+ * { net, vat, gross, rate }; per rate { rate, net, vat, gross }, highest rate first;
+ * and the document totals { net, vat, gross }.
+ */
+function calculate(lines, options = {}) {
+    const pricesIncludeTax = options.pricesIncludeTax === undefined ? config.pricesIncludeTax : options.pricesIncludeTax;
+    const rounding = options.rounding || config.vatRounding;
+
+    const calculated = lines.map(line => {
+        const cents = toCents(line.amount);
+        return { rate: line.rate, cents, ...split(cents, roundCents(vatOn(cents, line.rate, pricesIncludeTax)), pricesIncludeTax) };
+    });
+
+    const byRate = new Map();
+    for (const line of calculated) {
+        const group = byRate.get(line.rate) || { rate: line.rate, cents: 0, net: 0, vat: 0, gross: 0 };
+        group.cents += line.cents;
+        group.net += line.net;
+        group.vat += line.vat;
+        group.gross += line.gross;
+        byRate.set(line.rate, group);
+    }
+
+    const breakdown = Array.from(byRate.values())
+        .map(group => (rounding === 'document'
+            ? { rate: group.rate, ...split(group.cents, roundCents(vatOn(group.cents, group.rate, pricesIncludeTax)), pricesIncludeTax) }
+            : { rate: group.rate, net: group.net, vat: group.vat, gross: group.gross }))
+        .sort((a, b) => b.rate - a.rate);
+
+    const totals = breakdown.reduce((sum, group) => ({
+        net: sum.net + group.net,
+        vat: sum.vat + group.vat,
+        gross: sum.gross + group.gross
+    }), { net: 0, vat: 0, gross: 0 });
+
+    return {
+        lines: calculated.map(line => ({ rate: line.rate, ...fromCents({ net: line.net, vat: line.vat, gross: line.gross }) })),
+        breakdown: breakdown.map(group => ({ rate: group.rate, ...fromCents({ net: group.net, vat: group.vat, gross: group.gross }) })),
+        totals: fromCents(totals)
+    };
+}
+
+/**
+ * Splits an order-level amount (a discount or a refund) across VAT rates in
+ * proportion to each rate's share of the given lines, so it reduces each
+ * rate's taxable amount fairly. The last rate takes the rounding remainder.
+ * @param {number} amount The amount to split.
+ * @param {Array<object>} lines The lines to weigh by: { amount, rate }.
+ * @returns {Array<{amount: number, rate: number}>} One share per rate, highest rate first.
+ */
+function allocate(amount, lines) {
+    const weights = new Map();
+    for (const line of lines) {
+        weights.set(line.rate, (weights.get(line.rate) || 0) + line.amount);
+    }
+    const base = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+    if (base <= 0) {
+        return [{ amount, rate: config.vatRate }];
+    }
+
+    const total = toCents(amount);
+    let remaining = total;
+    return Array.from(weights.entries())
+        .sort(([a], [b]) => b - a)
+        .map(([rate, weight], index, entries) => {
+            const cents = index === entries.length - 1 ? remaining : roundCents(total * weight / base);
+            remaining -= cents;
+            return { amount: cents / 100, rate };
+        });
+}
+
+module.exports = {
+    validateTaxSettings,
+    getRate,
+    calculate,
+    allocate,
+};
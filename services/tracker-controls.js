@@ -0,0 +1,81 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/atomic-file');
+
+const controlsPath = path.join('data', 'tracker-controls.json');
+
+const DEFAULT_CONTROLS = {
+    pollingPaused: false,
+    pollingPausedAt: null,
+    printingPaused: false,
+    printingPausedAt: null
+};
+
+// In-memory copy of the controls file, loaded on first use
+let controls = null;
+
+/**
+ * Loads the pause switches, which are kept on disk so a pause survives restarts.
+ * @returns {Promise<object>} The controls.
+ */
+async function getControls() {
+    if (controls) {
+        return controls;
+    }
+
+    let saved = {};
+    try {
+        if (await fs.pathExists(controlsPath)) {
+            saved = await fs.readJson(controlsPath);
+        }
+    } catch (error) {
+        logger.error('Error reading tracker controls file, starting unpaused:', error);
+    }
+    controls = { ...DEFAULT_CONTROLS, ...saved };
+    return controls;
+}
+
+/**
+ * Describes the current mode in one word, for /api/health.
+ * @param {object} current The controls (see getControls).
+ * @returns {string} 'running', 'polling-paused', 'printing-paused' or 'paused'.
+ */
+function getMode(current) {
+    if (current.pollingPaused && current.printingPaused) {
+        return 'paused';
+    }
+    if (current.pollingPaused) {
+        return 'polling-paused';
+    }
+    if (current.printingPaused) {
+        return 'printing-paused';
+    }
+    return 'running';
+}
+
+/**
+ * Turns a pause switch on or off and saves it.
+ * @param {string} name 'polling' or 'printing'.
+ * @param {boolean} paused True to pause.
+ * @returns {Promise<object>} The updated controls.
+ */
+async function setPaused(name, paused) {
+    const current = await getControls();
+    if (current[`${name}Paused`] === paused) {
+        return current;
+    }
+
+    current[`${name}Paused`] = paused;
+    current[`${name}PausedAt`] = paused ? new Date().toISOString() : null;
+    await writeJsonAtomic(controlsPath, current);
+
+    logger.info(paused ? `⏸️  ${name === 'polling' ? 'Polling' : 'Printing'} paused` : `▶️  ${name === 'polling' ? 'Polling' : 'Printing'} resumed`);
+    return current;
+}
+
+module.exports = {
+    getControls,
+    getMode,
+    setPaused,
+};
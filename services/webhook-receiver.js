@@ -0,0 +1,105 @@
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { verifySignature } = require('../utils/webhook-signature');
+const squarespaceApi = require('./squarespace-api');
+const orderTracker = require('./order-tracker');
+
+const ORDER_TOPICS = ['order.create', 'order.update'];
+
+/**
+ * Finds the store a webhook notification belongs to by its website ID.
+ * With a single store configured, that store is used regardless.
+ * @param {object} notification The parsed notification.
+ * @returns {object|null} The store profile, or null if no store matches.
+ */
+function findStore(notification) {
+    if (config.stores.length === 1) {
+        return config.stores[0];
+    }
+    return config.stores.find(store => store.squarespaceWebsiteId === notification.websiteId) || null;
+}
+
+/**
+ * Express handler for Squarespace webhook notifications. Expects the raw
+ * request body (express.raw) so the signature can be verified against the
+ * secret of the store the notification names.
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ */
+async function handleSquarespaceWebhook(req, res) {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const signature = req.get('Squarespace-Signature');
+
+    // The body is parsed before verification only to pick the store's secret
+    let notification;
+    try {
+        notification = JSON.parse(rawBody.toString('utf-8'));
+    } catch (error) {
+        logger.warn('Rejected webhook with malformed JSON body');
+        res.status(400).json({ error: 'Malformed JSON' });
+        return;
+    }
+
+    const store = notification && typeof notification === 'object' ? findStore(notification) : null;
+    if (!store) {
+        logger.warn(`Rejected webhook for unknown website ${notification && notification.websiteId}`);
+        res.status(401).json({ error: 'Invalid signature' });
+        return;
+    }
+
+    const log = logger.forStore(store);
+
+    if (!store.squarespaceWebhookSecret) {
+        log.warn('Webhook received but no webhook secret is configured for this store');
+        res.status(503).json({ error: 'Webhook secret not configured' });
+        return;
+    }
+
+    if (!verifySignature(store.squarespaceWebhookSecret, rawBody, signature)) {
+        log.warn(`Rejected webhook with invalid signature from ${req.ip}`);
+        res.status(401).json({ error: 'Invalid signature' });
+        return;
+    }
+
+    const topic = notification.topic;
+    const orderId = notification.data && notification.data.orderId;
+
+    if (!ORDER_TOPICS.includes(topic)) {
+        log.debug(`Ignoring webhook notification with topic ${topic}`);
+        res.status(200).json({ received: true, ignored: true });
+        return;
+    }
+
+    if (!orderId) {
+        log.warn(`Webhook ${notification.id} (${topic}) has no orderId`);
+        res.status(400).json({ error: 'Missing data.orderId' });
+        return;
+    }
+
+    // Squarespace redelivers on a non-2xx response, so the order is not lost over a restart
+    if (orderTracker.isShuttingDown()) {
+        log.info(`Webhook ${topic} for order ID ${orderId} refused: shutting down`);
+        res.status(503).json({ error: 'Shutting down' });
+        return;
+    }
+
+    log.info(`🔔 Webhook ${topic} received for order ID ${orderId}`);
+
+    // Acknowledge immediately; Squarespace retries slow or failed deliveries
+    res.status(200).json({ received: true });
+
+    try {
+        const order = await squarespaceApi.getOrder(store, orderId);
+        if (!order) {
+            log.warn(`Could not fetch order ${orderId} from webhook; polling will pick it up`);
+            return;
+        }
+        await orderTracker.processIncomingOrder(order, store);
+    } catch (error) {
+        log.error(`Error handling webhook for order ${orderId}:`, error);
+    }
+}
+
+module.exports = {
+    handleSquarespaceWebhook,
+};
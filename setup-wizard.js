@@ -67,7 +67,7 @@ async function collectConfiguration() {
             type: 'input',
             name: 'apiBaseUrl',
             message: 'Enter API Base URL:',
-            default: 'https://api.squarespace.com/1.0'
+            default: process.env.SQUARESPACE_API_BASE_URL || 'https://api.squarespace.com/1.0'
         }
     ]);
 
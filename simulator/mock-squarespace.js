@@ -0,0 +1,398 @@
+// Local mock of the Squarespace Commerce API for development and demos.
+// Serves orders, transactions and products from simulator/fixtures, sends
+// signed webhooks to the dashboard, and can inject failures on demand.
+//
+// Usage: node simulator/mock-squarespace.js [--port=4010] [--page-size=2] [--fault=<status>[:count]]...
+// Then set SQUARESPACE_API_BASE_URL=http://localhost:4010/1.0/ for the app.
+require('dotenv').config();
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { computeSignature } = require('../utils/webhook-signature');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+
+/**
+ * Reads a --name=value command line option.
+ * @param {string} name The option name.
+ * @returns {Array} Every value given for the option.
+ */
+function getOptions(name) {
+    return process.argv
+        .filter(arg => arg.startsWith(`--${name}=`))
+        .map(arg => arg.slice(name.length + 3));
+}
+
+const port = parseInt(getOptions('port')[0] || process.env.MOCK_API_PORT, 10) || 4010;
+const pageSize = parseInt(getOptions('page-size')[0], 10) || 2;
+const webhookUrl = process.env.MOCK_WEBHOOK_URL || `http://127.0.0.1:${process.env.WEBHOOK_PORT || process.env.DASHBOARD_PORT || 3000}/api/webhooks/squarespace`;
+const webhookSecret = process.env.SQUARESPACE_WEBHOOK_SECRET || '';
+const websiteId = process.env.SQUARESPACE_WEBSITE_ID || 'mock-website';
+
+// How long a 'timeout' fault holds the request; longer than the client's 30s timeout
+const TIMEOUT_FAULT_MS = 35000;
+
+const state = {
+    orders: [],
+    transactions: [],
+    products: [],
+    faults: [],
+    requests: 0
+};
+
+/**
+ * Loads the fixtures, shifting the order dates so the newest order is a few
+ * minutes old and the tracker's regular lookback picks everything up.
+ */
+function loadFixtures() {
+    state.orders = fs.readJsonSync(path.join(fixturesDir, 'orders.json'));
+    state.transactions = fs.readJsonSync(path.join(fixturesDir, 'transactions.json'));
+    state.products = fs.readJsonSync(path.join(fixturesDir, 'products.json'));
+
+    const newest = Math.max(...state.orders.map(order => Date.parse(order.modifiedOn)));
+    const shift = Date.now() - 5 * 60 * 1000 - newest;
+    for (const order of state.orders) {
+        order.createdOn = new Date(Date.parse(order.createdOn) + shift).toISOString();
+        order.modifiedOn = new Date(Date.parse(order.modifiedOn) + shift).toISOString();
+    }
+    for (const transaction of state.transactions) {
+        for (const payment of transaction.payments || []) {
+            if (payment.paidOn) {
+                payment.paidOn = new Date(Date.parse(payment.paidOn) + shift).toISOString();
+            }
+        }
+    }
+}
+
+/**
+ * Parses a fault specification such as '429', '500:3' or 'timeout:1'.
+ * @param {string} spec The fault specification.
+ * @returns {object} The fault ({ status, remaining }).
+ */
+function parseFault(spec) {
+    const [status, count] = spec.split(':');
+    return {
+        status: status === 'timeout' ? 'timeout' : parseInt(status, 10),
+        remaining: count ? parseInt(count, 10) : 1
+    };
+}
+
+/**
+ * Adds a fault to the queue.
+ * @param {object} fault The fault.
+ * @param {number|string} fault.status An HTTP status (401, 429, 500...) or 'timeout'.
+ * @param {number} [fault.remaining=1] How many requests it applies to.
+ * @param {string} [fault.path] Only requests whose path contains this are affected.
+ * @param {number} [fault.retryAfter] Retry-After seconds sent with a 429.
+ */
+function addFault(fault) {
+    if (fault.status !== 'timeout' && !(fault.status >= 400 && fault.status < 600)) {
+        throw new Error(`Unsupported fault status: ${fault.status}`);
+    }
+    state.faults.push({
+        status: fault.status,
+        remaining: fault.remaining || 1,
+        path: fault.path || '',
+        retryAfter: fault.retryAfter
+    });
+    console.log(`💥 Fault queued: ${fault.status} x${fault.remaining || 1}${fault.path ? ` on ${fault.path}` : ''}`);
+}
+
+/**
+ * Sends a signed webhook notification for an order to the app.
+ * @param {object} order The order.
+ * @param {string} topic 'order.create' or 'order.update'.
+ */
+async function sendWebhook(order, topic) {
+    if (!webhookSecret) {
+        console.log('ℹ️  SQUARESPACE_WEBHOOK_SECRET not set; skipping webhook');
+        return;
+    }
+
+    const body = JSON.stringify({
+        id: crypto.randomUUID(),
+        websiteId,
+        subscriptionId: 'mock-subscription',
+        topic,
+        createdOn: new Date().toISOString(),
+        data: { orderId: order.id }
+    });
+
+    try {
+        const response = await axios.post(webhookUrl, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'Squarespace-Signature': computeSignature(webhookSecret, body)
+            },
+            validateStatus: () => true,
+            timeout: 10000
+        });
+        console.log(`🔔 Webhook ${topic} for order ${order.orderNumber}: ${response.status}`);
+    } catch (error) {
+        console.log(`❌ Webhook ${topic} for order ${order.orderNumber} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Encodes the paging position and filters into an opaque cursor.
+ * @param {object} position The offset and filters.
+ * @returns {string} The cursor.
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor created by encodeCursor.
+ * @param {string} cursor The cursor.
+ * @returns {object|null} The offset and filters, or null if the cursor is invalid.
+ */
+function decodeCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Returns one page of a list, with Squarespace-style pagination.
+ * @param {Array} items The full (filtered) list.
+ * @param {object} position The offset and filters.
+ * @returns {object} The page items and the pagination object.
+ */
+function paginate(items, position) {
+    const page = items.slice(position.offset, position.offset + pageSize);
+    const nextOffset = position.offset + pageSize;
+    const hasNextPage = nextOffset < items.length;
+    return {
+        page,
+        pagination: {
+            hasNextPage,
+            nextPageCursor: hasNextPage ? encodeCursor({ ...position, offset: nextOffset }) : null
+        }
+    };
+}
+
+/**
+ * Reads the paging position from a list request, enforcing that a cursor
+ * is never combined with other filters.
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ * @returns {object|null} The position, or null if an error response was sent.
+ */
+function getPosition(req, res) {
+    const { cursor, ...filters } = req.query;
+    if (!cursor) {
+        return { offset: 0, ...filters };
+    }
+    if (Object.keys(filters).length > 0) {
+        res.status(400).json({ type: 'INVALID_REQUEST_ERROR', message: 'Cursor cannot be combined with other query parameters' });
+        return null;
+    }
+    const position = decodeCursor(cursor);
+    if (!position) {
+        res.status(400).json({ type: 'INVALID_REQUEST_ERROR', message: 'Invalid cursor' });
+        return null;
+    }
+    return position;
+}
+
+/**
+ * Creates a new order from a random fixture, as if a customer just checked out.
+ * @returns {object} The new order.
+ */
+function createOrder() {
+    const template = state.orders[Math.floor(Math.random() * state.orders.length)];
+    const nextNumber = Math.max(...state.orders.map(order => parseInt(order.orderNumber, 10))) + 1;
+    const now = new Date().toISOString();
+    const order = {
+        ...JSON.parse(JSON.stringify(template)),
+        id: crypto.randomBytes(12).toString('hex'),
+        orderNumber: String(nextNumber),
+        createdOn: now,
+        modifiedOn: now,
+        fulfillmentStatus: 'PENDING',
+        refundedTotal: { value: '0.00', currency: 'EUR' }
+    };
+    state.orders.push(order);
+
+    const templateTransaction = state.transactions.find(t => t.salesOrderId === template.id);
+    state.transactions.push({
+        id: order.id,
+        salesOrderId: order.id,
+        voided: false,
+        total: order.grandTotal,
+        payments: (templateTransaction ? templateTransaction.payments : []).map(payment => ({
+            ...payment,
+            id: `pay-${order.orderNumber}`,
+            paidOn: now
+        }))
+    });
+    return order;
+}
+
+/**
+ * Finds an order by ID or order number, sending a 404 if there is none.
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ * @returns {object|null} The order, or null if a 404 was sent.
+ */
+function findOrder(req, res) {
+    const order = state.orders.find(o => o.id === req.params.id || o.orderNumber === req.params.id);
+    if (!order) {
+        res.status(404).json({ type: 'NOT_FOUND', message: `Order ${req.params.id} not found` });
+        return null;
+    }
+    return order;
+}
+
+const app = express();
+app.use(express.json());
+
+// Fault injection and auth, applied to the mocked API only
+app.use(['/1.0', '/v2'], (req, res, next) => {
+    state.requests++;
+
+    const fault = state.faults.find(f => f.remaining > 0 && req.path.includes(f.path));
+    if (fault) {
+        fault.remaining--;
+        state.faults = state.faults.filter(f => f.remaining > 0);
+        console.log(`💥 Injecting ${fault.status} for ${req.method} ${req.originalUrl}`);
+
+        if (fault.status === 'timeout') {
+            setTimeout(() => res.socket && res.socket.destroy(), TIMEOUT_FAULT_MS);
+            return;
+        }
+        if (fault.status === 429 && fault.retryAfter !== undefined) {
+            res.set('Retry-After', String(fault.retryAfter));
+        }
+        res.status(fault.status).json({ type: 'MOCK_FAULT', message: `Injected ${fault.status}` });
+        return;
+    }
+
+    if (!/^Bearer \S+/.test(req.get('Authorization') || '')) {
+        res.status(401).json({ type: 'AUTHORIZATION_ERROR', message: 'Missing API key' });
+        return;
+    }
+    next();
+});
+
+app.get('/1.0/commerce/orders', (req, res) => {
+    const position = getPosition(req, res);
+    if (!position) return;
+
+    const orders = state.orders
+        .filter(order => !position.modifiedAfter || order.modifiedOn > position.modifiedAfter)
+        .filter(order => !position.modifiedBefore || order.modifiedOn <= position.modifiedBefore)
+        .filter(order => !position.fulfillmentStatus || order.fulfillmentStatus === position.fulfillmentStatus)
+        .sort((a, b) => a.modifiedOn.localeCompare(b.modifiedOn));
+
+    const { page, pagination } = paginate(orders, position);
+    res.json({ result: page, pagination });
+});
+
+app.get('/1.0/commerce/orders/:id', (req, res) => {
+    const order = findOrder(req, res);
+    if (order) res.json(order);
+});
+
+app.post('/1.0/commerce/orders/:id/fulfillments', (req, res) => {
+    const order = findOrder(req, res);
+    if (!order) return;
+
+    if (order.fulfillmentStatus !== 'PENDING') {
+        res.status(400).json({ type: 'INVALID_REQUEST_ERROR', message: `Order is ${order.fulfillmentStatus}` });
+        return;
+    }
+    order.fulfillmentStatus = 'FULFILLED';
+    order.modifiedOn = new Date().toISOString();
+    order.fulfillments = (req.body && req.body.shipments) || [];
+    console.log(`📦 Order ${order.orderNumber} marked fulfilled`);
+    res.status(204).end();
+});
+
+app.get('/1.0/commerce/transactions/:ids', (req, res) => {
+    const ids = req.params.ids.split(',');
+    res.json({ documents: state.transactions.filter(t => ids.includes(t.id)) });
+});
+
+app.get('/v2/commerce/products', (req, res) => {
+    const position = getPosition(req, res);
+    if (!position) return;
+
+    const { page, pagination } = paginate(state.products, position);
+    res.json({ products: page, pagination });
+});
+
+// Control API for demos and manual testing
+app.get('/__mock/state', (req, res) => {
+    res.json({
+        requests: state.requests,
+        faults: state.faults,
+        orders: state.orders.map(o => ({ id: o.id, orderNumber: o.orderNumber, modifiedOn: o.modifiedOn, fulfillmentStatus: o.fulfillmentStatus }))
+    });
+});
+
+app.post('/__mock/faults', (req, res) => {
+    try {
+        addFault(req.body || {});
+        res.json({ faults: state.faults });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/__mock/faults', (req, res) => {
+    state.faults = [];
+    res.json({ faults: [] });
+});
+
+app.post('/__mock/orders', async (req, res) => {
+    const order = createOrder();
+    console.log(`🛒 New order ${order.orderNumber}`);
+    res.json(order);
+    await sendWebhook(order, 'order.create');
+});
+
+app.post('/__mock/orders/:id/cancel', async (req, res) => {
+    const order = findOrder(req, res);
+    if (!order) return;
+
+    order.fulfillmentStatus = 'CANCELED';
+    order.modifiedOn = new Date().toISOString();
+    console.log(`🚫 Order ${order.orderNumber} cancelled`);
+    res.json(order);
+    await sendWebhook(order, 'order.update');
+});
+
+app.post('/__mock/orders/:id/refund', async (req, res) => {
+    const order = findOrder(req, res);
+    if (!order) return;
+
+    const refunded = parseFloat(order.refundedTotal.value) + parseFloat((req.body && req.body.amount) || order.grandTotal.value);
+    order.refundedTotal = { value: refunded.toFixed(2), currency: order.grandTotal.currency };
+    order.modifiedOn = new Date().toISOString();
+    console.log(`↩️  Order ${order.orderNumber} refunded, total refunded ${order.refundedTotal.value}`);
+    res.json(order);
+    await sendWebhook(order, 'order.update');
+});
+
+app.post('/__mock/orders/:id/webhook', async (req, res) => {
+    const order = findOrder(req, res);
+    if (!order) return;
+
+    res.json({ sent: true });
+    await sendWebhook(order, (req.body && req.body.topic) || 'order.create');
+});
+
+loadFixtures();
+getOptions('fault').forEach(spec => addFault(parseFault(spec)));
+
+app.listen(port, () => {
+    console.log(`🧪 Mock Squarespace API running at http://localhost:${port}`);
+    console.log(`   SQUARESPACE_API_BASE_URL=http://localhost:${port}/1.0/`);
+    console.log(`   ${state.orders.length} orders, ${state.products.length} products, page size ${pageSize}`);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// config/app.js stops the process without a store; the scheduler reads the job settings from it
+process.env.SQUARESPACE_API_KEY = process.env.SQUARESPACE_API_KEY || 'test';
+process.env.SQUARESPACE_WEBSITE_ID = process.env.SQUARESPACE_WEBSITE_ID || 'test';
+process.env.SQUARESPACE_API_BASE_URL = process.env.SQUARESPACE_API_BASE_URL || 'http://localhost/';
+process.env.SHOP_NAME = process.env.SHOP_NAME || 'Test Shop';
+process.env.SHOP_ADDRESS = process.env.SHOP_ADDRESS || 'Test Address';
+process.env.SHOP_EMAIL = process.env.SHOP_EMAIL || 'shop@example.com';
+
+const scheduler = require('../services/scheduler');
+
+function nextRun(expression, timezone, from) {
+    const date = scheduler.getNextRun(expression, timezone, new Date(from));
+    return date ? date.toISOString() : null;
+}
+
+test('finds the next run of a step expression', () => {
+    assert.equal(nextRun('*/5 * * * *', 'UTC', '2026-10-19T10:03:07Z'), '2026-10-19T10:05:00.000Z');
+});
+
+test('a step on a range keeps the values divisible by it, as node-cron does', () => {
+    // 10-50/15 matches 15, 30 and 45
+    assert.equal(nextRun('10-50/15 * * * *', 'UTC', '2026-10-19T10:31:00Z'), '2026-10-19T10:45:00.000Z');
+});
+
+test('runs in the job\'s timezone across the end of daylight saving time', () => {
+    // Friday 10:00 in Athens (UTC+3); the following Monday 09:00 is UTC+2
+    assert.equal(nextRun('0 9 * * 1-5', 'Europe/Athens', '2026-10-23T07:00:00Z'), '2026-10-26T07:00:00.000Z');
+    assert.equal(nextRun('0 3 * * *', 'Europe/Athens', '2026-10-24T23:30:00Z'), '2026-10-25T01:00:00.000Z');
+});
+
+test('accepts month and weekday names, and 7 for Sunday', () => {
+    assert.equal(nextRun('0 8 * * MON', 'Europe/Athens', '2026-10-19T10:00:00Z'), '2026-10-26T06:00:00.000Z');
+    assert.equal(nextRun('15 10 * * 7', 'UTC', '2026-10-19T10:00:00Z'), '2026-10-25T10:15:00.000Z');
+    assert.equal(nextRun('0 0 1 Jan,Jul *', 'UTC', '2026-10-19T10:00:00Z'), '2027-01-01T00:00:00.000Z');
+});
+
+test('returns null for an invalid expression or one that never fires', () => {
+    assert.equal(nextRun('every day', 'UTC', '2026-10-19T10:00:00Z'), null);
+    assert.equal(nextRun('0 0 30 2 *', 'UTC', '2026-10-19T10:00:00Z'), null);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// config/app.js stops the process without a store; the tax engine reads the default VAT settings from it
+process.env.SQUARESPACE_API_KEY = process.env.SQUARESPACE_API_KEY || 'test';
+process.env.SQUARESPACE_WEBSITE_ID = process.env.SQUARESPACE_WEBSITE_ID || 'test';
+process.env.SQUARESPACE_API_BASE_URL = process.env.SQUARESPACE_API_BASE_URL || 'http://localhost/';
+process.env.SHOP_NAME = process.env.SHOP_NAME || 'Test Shop';
+process.env.SHOP_ADDRESS = process.env.SHOP_ADDRESS || 'Test Address';
+process.env.SHOP_EMAIL = process.env.SHOP_EMAIL || 'shop@example.com';
+
+const taxEngine = require('../services/tax-engine');
+
+const EXCLUSIVE = { pricesIncludeTax: false, rounding: 'line' };
+const INCLUSIVE = { pricesIncludeTax: true, rounding: 'line' };
+
+test('exclusive prices: VAT is added per line at mixed 24/13/6% rates', () => {
+    const result = taxEngine.calculate([
+        { amount: 10.00, rate: 0.24 },
+        { amount: 5.55, rate: 0.13 },
+        { amount: 3.33, rate: 0.06 }
+    ], EXCLUSIVE);
+
+    assert.deepEqual(result.lines, [
+        { rate: 0.24, net: 10.00, vat: 2.40, gross: 12.40 },
+        // 5.55 x 13% = 0.7215 and 3.33 x 6% = 0.1998
+        { rate: 0.13, net: 5.55, vat: 0.72, gross: 6.27 },
+        { rate: 0.06, net: 3.33, vat: 0.20, gross: 3.53 }
+    ]);
+    assert.deepEqual(result.breakdown.map(group => group.rate), [0.24, 0.13, 0.06]);
+    assert.deepEqual(result.totals, { net: 18.88, vat: 3.32, gross: 22.20 });
+});
+
+test('inclusive prices: VAT is taken out of the gross amounts', () => {
+    const result = taxEngine.calculate([
+        { amount: 12.40, rate: 0.24 },
+        { amount: 6.27, rate: 0.13 },
+        { amount: 3.53, rate: 0.06 }
+    ], INCLUSIVE);
+
+    assert.deepEqual(result.lines, [
+        { rate: 0.24, net: 10.00, vat: 2.40, gross: 12.40 },
+        // 6.27 / 1.13 = 5.5487 and 3.53 / 1.06 = 3.3302
+        { rate: 0.13, net: 5.55, vat: 0.72, gross: 6.27 },
+        { rate: 0.06, net: 3.33, vat: 0.20, gross: 3.53 }
+    ]);
+    assert.deepEqual(result.totals, { net: 18.88, vat: 3.32, gross: 22.20 });
+});
+
+test('lines with the same rate are grouped in the breakdown', () => {
+    const result = taxEngine.calculate([
+        { amount: 10.00, rate: 0.13 },
+        { amount: 20.00, rate: 0.24 },
+        { amount: 5.00, rate: 0.13 }
+    ], EXCLUSIVE);
+
+    assert.deepEqual(result.breakdown, [
+        { rate: 0.24, net: 20.00, vat: 4.80, gross: 24.80 },
+        { rate: 0.13, net: 15.00, vat: 1.95, gross: 16.95 }
+    ]);
+});
+
+test('line rounding rounds each line; document rounding rounds once per rate', () => {
+    const lines = [
+        { amount: 0.05, rate: 0.24 },
+        { amount: 0.05, rate: 0.24 },
+        { amount: 0.05, rate: 0.24 }
+    ];
+
+    // 0.012 per line rounds to 0.01, three times
+    const perLine = taxEngine.calculate(lines, { pricesIncludeTax: false, rounding: 'line' });
+    assert.deepEqual(perLine.totals, { net: 0.15, vat: 0.03, gross: 0.18 });
+
+    // 0.036 on the sum rounds to 0.04; the lines keep their own rounding
+    const perDocument = taxEngine.calculate(lines, { pricesIncludeTax: false, rounding: 'document' });
+    assert.deepEqual(perDocument.totals, { net: 0.15, vat: 0.04, gross: 0.19 });
+    assert.deepEqual(perDocument.breakdown, [{ rate: 0.24, net: 0.15, vat: 0.04, gross: 0.19 }]);
+    assert.deepEqual(perDocument.lines.map(line => line.vat), [0.01, 0.01, 0.01]);
+});
+
+test('negative amounts round half away from zero, like their positive counterparts', () => {
+    // 0.50 x 13% = 0.065
+    assert.deepEqual(taxEngine.calculate([{ amount: 0.50, rate: 0.13 }], EXCLUSIVE).totals, { net: 0.50, vat: 0.07, gross: 0.57 });
+    assert.deepEqual(taxEngine.calculate([{ amount: -0.50, rate: 0.13 }], EXCLUSIVE).totals, { net: -0.50, vat: -0.07, gross: -0.57 });
+});
+
+test('allocate splits an amount by each rate\'s share, highest rate first', () => {
+    assert.deepEqual(taxEngine.allocate(6.00, [
+        { amount: 1.00, rate: 0.13 },
+        { amount: 1.00, rate: 0.24 },
+        { amount: 1.00, rate: 0.24 }
+    ]), [
+        { amount: 4.00, rate: 0.24 },
+        { amount: 2.00, rate: 0.13 }
+    ]);
+});
+
+test('allocate gives the rounding remainder to the last rate', () => {
+    const lines = [
+        { amount: 10.00, rate: 0.24 },
+        { amount: 10.00, rate: 0.13 },
+        { amount: 10.00, rate: 0.06 }
+    ];
+
+    assert.deepEqual(taxEngine.allocate(10.00, lines), [
+        { amount: 3.33, rate: 0.24 },
+        { amount: 3.33, rate: 0.13 },
+        { amount: 3.34, rate: 0.06 }
+    ]);
+    assert.deepEqual(taxEngine.allocate(-10.00, lines), [
+        { amount: -3.33, rate: 0.24 },
+        { amount: -3.33, rate: 0.13 },
+        { amount: -3.34, rate: 0.06 }
+    ]);
+});
+
+test('allocate puts everything on the standard rate when there is nothing to weigh by', () => {
+    assert.deepEqual(taxEngine.allocate(5.00, []), [{ amount: 5.00, rate: 0.24 }]);
+});
+
+test('a discount split across rates reduces each rate\'s taxable amount', () => {
+    const products = [
+        { amount: 100.00, rate: 0.24 },
+        { amount: 50.00, rate: 0.13 }
+    ];
+    const discount = taxEngine.allocate(-15.00, products);
+    assert.deepEqual(discount, [
+        { amount: -10.00, rate: 0.24 },
+        { amount: -5.00, rate: 0.13 }
+    ]);
+
+    const result = taxEngine.calculate([...products, ...discount], EXCLUSIVE);
+    assert.deepEqual(result.breakdown, [
+        { rate: 0.24, net: 90.00, vat: 21.60, gross: 111.60 },
+        { rate: 0.13, net: 45.00, vat: 5.85, gross: 50.85 }
+    ]);
+    assert.deepEqual(result.totals, { net: 135.00, vat: 27.45, gross: 162.45 });
+});
+
+test('getRate looks up tax categories and falls back to the standard rate', () => {
+    assert.equal(taxEngine.getRate(), 0.24);
+    assert.equal(taxEngine.getRate('reduced'), 0.13);
+    assert.equal(taxEngine.getRate('Super-Reduced'), 0.06);
+    assert.equal(taxEngine.getRate('zero'), 0);
+    assert.equal(taxEngine.getRate('no-such-category'), 0.24);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// config/app.js stops the process without a store; the engine only needs it for currency formatting
+process.env.SQUARESPACE_API_KEY = process.env.SQUARESPACE_API_KEY || 'test';
+process.env.SQUARESPACE_WEBSITE_ID = process.env.SQUARESPACE_WEBSITE_ID || 'test';
+process.env.SQUARESPACE_API_BASE_URL = process.env.SQUARESPACE_API_BASE_URL || 'http://localhost/';
+process.env.SHOP_NAME = process.env.SHOP_NAME || 'Test Shop';
+process.env.SHOP_ADDRESS = process.env.SHOP_ADDRESS || 'Test Address';
+process.env.SHOP_EMAIL = process.env.SHOP_EMAIL || 'shop@example.com';
+
+const templateEngine = require('../utils/template-engine');
+
+function render(source, data) {
+    return templateEngine.render(templateEngine.compile(source, { name: 'test.html', partialsDir: __dirname }), data);
+}
+
+test('escapes values, except in triple braces', () => {
+    const data = { name: '<b>Tom & "Jerry\'s"</b>' };
+    assert.equal(render('{{name}}', data).html, '&lt;b&gt;Tom &amp; &quot;Jerry&#39;s&quot;&lt;/b&gt;');
+    assert.equal(render('{{{name}}}', data).html, '<b>Tom & "Jerry\'s"</b>');
+});
+
+test('escapes helper output', () => {
+    assert.equal(render('{{upper name}}', { name: '<i>' }).html, '&lt;I&gt;');
+});
+
+test('renders 0 and false, and nothing for null', () => {
+    assert.equal(render('[{{zero}}][{{no}}][{{nothing}}]', { zero: 0, no: false, nothing: null }).html, '[0][false][]');
+});
+
+test('each renders list items with @index, @first and @last', () => {
+    const source = '{{#each items}}{{@index}}:{{name}}{{#if @first}}(first){{/if}}{{#if @last}}(last){{/if}} {{/each}}';
+    assert.equal(render(source, { items: [{ name: 'a' }, { name: 'b' }, { name: 'c' }] }).html, '0:a(first) 1:b 2:c(last) ');
+});
+
+test('each reaches the outer data from inside the list', () => {
+    const source = '{{#each items}}{{name}}/{{INVOICE_NUMBER}}/{{../INVOICE_NUMBER}} {{/each}}';
+    assert.equal(render(source, { INVOICE_NUMBER: '42', items: [{ name: 'a' }] }).html, 'a/42/42 ');
+});
+
+test('an item field hides an outer field of the same name', () => {
+    assert.equal(render('{{#each items}}{{name}}{{/each}}', { name: 'outer', items: [{ name: 'inner' }] }).html, 'inner');
+});
+
+test('each iterates over object entries with @key', () => {
+    assert.equal(render('{{#each rates}}{{@key}}={{this}};{{/each}}', { rates: { standard: 24, reduced: 13 } }).html, 'standard=24;reduced=13;');
+});
+
+test('each renders else for an empty or missing list', () => {
+    const source = '{{#each items}}x{{else}}none{{/each}}';
+    assert.equal(render(source, { items: [] }).html, 'none');
+    assert.equal(render(source, {}).html, 'none');
+});
+
+test('if and unless follow truthiness, with empty lists counting as false', () => {
+    const source = '{{#if value}}yes{{else}}no{{/if}}';
+    assert.equal(render(source, { value: 'x' }).html, 'yes');
+    assert.equal(render(source, { value: '' }).html, 'no');
+    assert.equal(render(source, { value: 0 }).html, 'no');
+    assert.equal(render(source, { value: [] }).html, 'no');
+    assert.equal(render(source, { value: [1] }).html, 'yes');
+    assert.equal(render('{{#unless value}}empty{{/unless}}', { value: null }).html, 'empty');
+});
+
+test('with changes the scope to an object', () => {
+    assert.equal(render('{{#with customer}}{{city}}{{/with}}', { customer: { city: 'Athens' } }).html, 'Athens');
+});
+
+test('missing keys render empty and are reported', () => {
+    const result = render('[{{name}}][{{customer.city}}]', { customer: {} });
+    assert.equal(result.html, '[][]');
+    assert.deepEqual(result.missing.sort(), ['customer.city', 'name']);
+});
+
+test('prototype keys are treated as missing', () => {
+    const data = { items: [], customer: { city: 'Athens' } };
+    const result = render('[{{constructor}}][{{__proto__}}][{{customer.constructor}}][{{items.constructor.name}}][{{toString}}]', data);
+    assert.equal(result.html, '[][][][][]');
+    assert.deepEqual(result.missing.sort(), ['__proto__', 'constructor', 'customer.constructor', 'items.constructor.name', 'toString']);
+});
+
+test('prototype keys do not show blocks or stop the search for outer values', () => {
+    assert.equal(render('{{#if constructor}}yes{{else}}no{{/if}}', {}).html, 'no');
+    assert.equal(render('{{#each items}}{{hasOwnProperty}}{{/each}}', { hasOwnProperty: 'outer', items: [{}] }).html, 'outer');
+});
+
+test('own properties of arrays and strings are reachable', () => {
+    assert.equal(render('{{items.length}}/{{name.length}}', { items: [1, 2], name: 'abc' }).html, '2/3');
+});
+
+test('helpers format values', () => {
+    assert.equal(render('{{default missing "N/A"}}|{{percent rate}}|{{number amount 1}}', { rate: 0.24, amount: { value: '12.5' } }).html, 'N/A|24%|12,5');
+});
+
+test('syntax errors point at the line and column', () => {
+    assert.throws(() => render('ok\n  {{#if value}}never closed', {}), error => error.line === 2 && error.column === 3);
+    assert.throws(() => render('{{#each items}}{{/if}}', {}), /closes '\{\{#each\}\}'/);
+    assert.throws(() => render('{{shout name}}', {}), /Unknown helper 'shout'/);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeSignature, verifySignature } = require('../utils/webhook-signature');
+
+// A fake sender: signs the body the way Squarespace does
+const SECRET = '0123456789abcdef0123456789abcdef';
+const BODY = '{"topic":"order.create","data":{"orderId":"abc"}}';
+const SIGNATURE = '3035bb76959136a3b54abb055473438beceddf18b3b0fb163ecd59cea24f7e46';
+
+test('signs the raw body with HMAC-SHA256 keyed by the hex-decoded secret', () => {
+    // Expected value from: printf '<body>' | openssl dgst -sha256 -mac HMAC -macopt hexkey:<secret>
+    assert.equal(computeSignature(SECRET, BODY), SIGNATURE);
+    assert.equal(computeSignature(SECRET, Buffer.from(BODY)), SIGNATURE);
+});
+
+test('accepts a valid signature, in either case and with surrounding whitespace', () => {
+    assert.equal(verifySignature(SECRET, Buffer.from(BODY), SIGNATURE), true);
+    assert.equal(verifySignature(SECRET, BODY, ` ${SIGNATURE.toUpperCase()}\n`), true);
+});
+
+test('rejects a tampered body', () => {
+    assert.equal(verifySignature(SECRET, BODY.replace('abc', 'abd'), SIGNATURE), false);
+    assert.equal(verifySignature(SECRET, `${BODY} `, SIGNATURE), false);
+});
+
+test('rejects a signature made with another secret', () => {
+    const otherSecret = 'fedcba9876543210fedcba9876543210';
+    assert.equal(verifySignature(otherSecret, BODY, SIGNATURE), false);
+    assert.equal(verifySignature(SECRET, BODY, computeSignature(otherSecret, BODY)), false);
+});
+
+test('rejects a missing signature or secret', () => {
+    assert.equal(verifySignature(SECRET, BODY, undefined), false);
+    assert.equal(verifySignature(SECRET, BODY, ''), false);
+    assert.equal(verifySignature('', BODY, SIGNATURE), false);
+    assert.equal(verifySignature(SECRET, BODY, ['a', 'b']), false);
+});
+
+test('rejects a malformed signature', () => {
+    assert.equal(verifySignature(SECRET, BODY, 'not-a-signature'), false);
+    assert.equal(verifySignature(SECRET, BODY, SIGNATURE.slice(0, 32)), false);
+    assert.equal(verifySignature(SECRET, BODY, `${SIGNATURE}00`), false);
+    // Hex decoding stops at the first bad character, which must not hide trailing junk
+    assert.equal(verifySignature(SECRET, BODY, `${SIGNATURE}zz`), false);
+    assert.equal(verifySignature(SECRET, BODY, `sha256=${SIGNATURE}`), false);
+});
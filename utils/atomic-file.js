@@ -0,0 +1,34 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Writes JSON to a file atomically: the data goes to a temporary file in the
+ * same directory, is flushed to disk, and then replaces the target with a
+ * rename. A crash mid-write leaves either the old or the new file, never a
+ * truncated one.
+ * @param {string} filePath The file to write.
+ * @param {*} data The data to serialise.
+ */
+async function writeJsonAtomic(filePath, data) {
+    await fs.ensureDir(path.dirname(filePath));
+
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    const fd = await fs.open(tempPath, 'w');
+    try {
+        await fs.writeFile(fd, JSON.stringify(data, null, 2));
+        await fs.fsync(fd);
+    } finally {
+        await fs.close(fd);
+    }
+
+    try {
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.remove(tempPath);
+        throw error;
+    }
+}
+
+module.exports = {
+    writeJsonAtomic,
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Sent by the dashboard page; a cross-site form or simple request cannot set it
+const REQUESTED_WITH = 'dashboard';
+
+/**
+ * Compares a dashboard token with the configured one in constant time.
+ * @param {string} expected The configured DASHBOARD_TOKEN.
+ * @param {string} received The value of the X-Dashboard-Token header.
+ * @returns {boolean} True if the tokens match.
+ */
+function tokenMatches(expected, received) {
+    if (!received || typeof received !== 'string') {
+        return false;
+    }
+
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const receivedHash = crypto.createHash('sha256').update(received).digest();
+    return crypto.timingSafeEqual(expectedHash, receivedHash);
+}
+
+/**
+ * Checks that a request was addressed to this machine by name, so a page whose
+ * own domain resolves to 127.0.0.1 (DNS rebinding) is not served.
+ * @param {string} [host] The Host header.
+ * @returns {boolean} True for localhost, 127.0.0.1 or [::1], on any port.
+ */
+function isLoopbackHost(host) {
+    if (!host) {
+        return false;
+    }
+    const name = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+    return LOOPBACK_HOSTS.includes(name.toLowerCase());
+}
+
+/**
+ * Creates the middleware that guards the dashboard API. With a token, every
+ * request must send it in the X-Dashboard-Token header; without one, only
+ * requests from this machine are served, and only if they carry the
+ * X-Requested-With header of the dashboard page. Any web page open in the
+ * shop PC's browser can post to 127.0.0.1, but it cannot add that header
+ * without a CORS preflight, which this server never grants.
+ * @param {string} [token] The configured DASHBOARD_TOKEN.
+ * @returns {Function} The Express middleware.
+ */
+function requireDashboardAccess(token) {
+    return (req, res, next) => {
+        if (token) {
+            if (tokenMatches(token, req.get('X-Dashboard-Token'))) {
+                return next();
+            }
+            return res.status(401).json({ error: 'Dashboard token missing or invalid' });
+        }
+
+        if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+            return res.status(403).json({ error: 'Set DASHBOARD_TOKEN to use the dashboard from another machine' });
+        }
+        if (req.get('X-Requested-With') !== REQUESTED_WITH || !isLoopbackHost(req.get('Host'))) {
+            return res.status(403).json({ error: 'Requests must come from the dashboard page' });
+        }
+        return next();
+    };
+}
+
+module.exports = {
+    tokenMatches,
+    isLoopbackHost,
+    requireDashboardAccess
+};
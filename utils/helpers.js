@@ -22,7 +22,42 @@ function formatCurrency(amount) {
     }).format(amount);
 }
 
+/**
+ * Reads a Squarespace money value ({ value: '12.50' } or a plain number).
+ * @param {object|number|string} money The money value.
+ * @returns {number} The amount, or 0 if missing.
+ */
+function parseMoney(money) {
+    const value = parseFloat(money && money.value !== undefined ? money.value : money);
+    return isNaN(value) ? 0 : value;
+}
+
+/**
+ * Builds the key that identifies an order across stores. Orders of the
+ * default (single) store, or of the store profile with legacyOrderKeys,
+ * keep their plain order number.
+ * @param {object} store The store profile.
+ * @param {string} orderNumber The Squarespace order number.
+ * @returns {string} The order key.
+ */
+function getOrderKey(store, orderNumber) {
+    return store.id === 'default' || store.legacyOrderKeys ? String(orderNumber) : `${store.id}:${orderNumber}`;
+}
+
+/**
+ * Builds the invoice number for an order in the store's numbering series.
+ * @param {object} store The store profile.
+ * @param {string} orderNumber The Squarespace order number.
+ * @returns {string} The invoice number.
+ */
+function getInvoiceNumber(store, orderNumber) {
+    return `${store.invoicePrefix || ''}${orderNumber}`;
+}
+
 module.exports = {
     formatDate,
     formatCurrency,
+    parseMoney,
+    getOrderKey,
+    getInvoiceNumber,
 };
@@ -4,19 +4,22 @@ const config = require('../config/app');
 
 const logDir = 'logs';
 
+// Log lines from a store-scoped logger are tagged with the store id
+const formatLine = info => `${info.timestamp} ${info.level}: ${info.store ? `[${info.store}] ` : ''}${info.message}`;
+
 const logger = winston.createLogger({
     level: config.logLevel,
     format: winston.format.combine(
         winston.format.timestamp({
             format: 'YYYY-MM-DD HH:mm:ss'
         }),
-        winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.message}`)
+        winston.format.printf(formatLine)
     ),
     transports: [
         new winston.transports.Console({
             format: winston.format.combine(
                 winston.format.colorize(),
-                winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.message}`)
+                winston.format.printf(formatLine)
             )
         }),
         new winston.transports.File({
@@ -27,4 +30,32 @@ const logger = winston.createLogger({
     ]
 });
 
+/**
+ * Returns a logger that tags its lines with the store they came from.
+ * With a single store there is nothing to tell apart, so lines stay untagged.
+ * @param {object} store The store profile.
+ * @returns {object} A winston logger.
+ */
+logger.forStore = (store) => {
+    if (!store || config.stores.length <= 1) {
+        return logger;
+    }
+    return logger.child({ store: store.id });
+};
+
+/**
+ * Writes out buffered log lines before the process exits. The logger
+ * accepts no more lines afterwards.
+ * @returns {Promise<void>} Resolves once the log file has been written.
+ */
+logger.flush = () => new Promise(resolve => {
+    const fileTransport = logger.transports.find(transport => transport instanceof winston.transports.File);
+    if (!fileTransport) {
+        resolve();
+        return;
+    }
+    fileTransport.on('finish', resolve);
+    logger.end();
+});
+
 module.exports = logger;
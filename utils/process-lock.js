@@ -0,0 +1,67 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const lockPath = path.join('data', 'app.lock');
+
+/**
+ * Checks whether a process is still running.
+ * @param {number} pid The process id.
+ * @returns {boolean} True if the process exists.
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: it exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Takes the lock on the data directory, so the service and a backfill never
+ * run at the same time: each keeps its own copy of the order state and would
+ * overwrite the other's updates. A lock left by a process that is no longer
+ * running is taken over. The lock is released when this process exits.
+ * @param {string} mode What this process does ('service' or 'backfill'), for the error message.
+ * @returns {Promise<void>} Resolves once the lock is held.
+ * @throws {Error} If another running process holds the lock.
+ */
+async function acquireLock(mode) {
+    await fs.ensureDir(path.dirname(lockPath));
+    const lock = { pid: process.pid, mode, startedAt: new Date().toISOString() };
+
+    try {
+        await fs.writeFile(lockPath, JSON.stringify(lock), { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+        const holder = await fs.readJson(lockPath).catch(() => null);
+        if (holder && holder.pid !== process.pid && isRunning(holder.pid)) {
+            throw new Error(`The ${holder.mode} is already running (pid ${holder.pid}, since ${holder.startedAt}); stop it first`);
+        }
+        await fs.writeFile(lockPath, JSON.stringify(lock));
+    }
+
+    process.on('exit', () => releaseLock());
+}
+
+/**
+ * Removes the lock if this process holds it.
+ */
+function releaseLock() {
+    try {
+        const holder = fs.readJsonSync(lockPath);
+        if (holder.pid === process.pid) {
+            fs.removeSync(lockPath);
+        }
+    } catch (error) {
+        // Already gone
+    }
+}
+
+module.exports = {
+    acquireLock,
+    releaseLock,
+};
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { formatCurrency, parseMoney } = require('./helpers');
+
+// Block tags: {{#if value}}, {{#unless value}}, {{#each list}} and {{#with object}}
+const BLOCKS = ['if', 'unless', 'each', 'with'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Nested partials deeper than this are treated as a mistake
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Formats a number with a fixed number of decimals, the Greek way (1.234,50).
+ * @param {number} value The number.
+ * @param {number} decimals The number of decimals.
+ * @param {string} [style] 'decimal' or 'percent'.
+ * @returns {string} The formatted number.
+ */
+function formatNumber(value, decimals, style = 'decimal') {
+    return new Intl.NumberFormat('el-GR', {
+        style,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }).format(value);
+}
+
+// Formatting helpers, called as {{currency net_amount}} or {{date createdOn "DD/MM/YYYY"}}.
+// Amounts may be numbers, strings or Squarespace money objects ({ value: '12.50' }).
+const HELPERS = {
+    currency: amount => formatCurrency(parseMoney(amount)),
+    number: (value, decimals = 2) => formatNumber(parseMoney(value), decimals),
+    percent: (rate, decimals = 0) => formatNumber(parseMoney(rate), decimals, 'percent'),
+    date: (value, format = 'DD/MM/YYYY') => (value ? moment(value).format(format) : ''),
+    upper: value => (value === undefined || value === null ? '' : String(value).toUpperCase()),
+    lower: value => (value === undefined || value === null ? '' : String(value).toLowerCase()),
+    default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+    eq: (a, b) => a === b
+};
+
+/**
+ * Creates an error that points at the place in the template it is about.
+ * @param {string} message What is wrong.
+ * @param {object} location Where: { template, line, column }.
+ * @returns {Error} The error, with template, line and column properties.
+ */
+function templateError(message, location) {
+    const error = new Error(`${location.template}, line ${location.line}, column ${location.column}: ${message}`);
+    error.template = location.template;
+    error.line = location.line;
+    error.column = location.column;
+    return error;
+}
+
+/**
+ * Converts a character offset in a template to a line and column.
+ * @param {string} source The template.
+ * @param {string} template The template name.
+ * @param {number} offset The offset.
+ * @returns {object} The location: { template, line, column }.
+ */
+function locate(source, template, offset) {
+    const before = source.slice(0, offset);
+    const line = before.split('\n').length;
+    return { template, line, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Splits a template into text and {{tags}}.
+ * @param {string} source The template.
+ * @param {string} template The template name, for errors.
+ * @returns {Array<object>} The tokens: { type: 'text', value } or { type: 'tag', content, raw, location }.
+ */
+function tokenize(source, template) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+        const open = source.indexOf('{{', index);
+        if (open === -1) {
+            tokens.push({ type: 'text', value: source.slice(index) });
+            break;
+        }
+        if (open > index) {
+            tokens.push({ type: 'text', value: source.slice(index, open) });
+        }
+
+        // {{{value}}} inserts the value without escaping
+        const raw = source.startsWith('{{{', open);
+        const delimiter = raw ? '}}}' : '}}';
+        const close = source.indexOf(delimiter, open + delimiter.length);
+        const location = locate(source, template, open);
+        if (close === -1) {
+            throw templateError(`'${source.slice(open, open + 20).split('\n')[0]}' is never closed with '${delimiter}'`, location);
+        }
+        tokens.push({ type: 'tag', content: source.slice(open + delimiter.length, close).trim(), raw, location });
+        index = close + delimiter.length;
+    }
+    return tokens;
+}
+
+/**
+ * Parses a helper argument: a quoted string, a number, true/false/null, or a value path.
+ * @param {string} part The argument.
+ * @param {object} location Where it is, for errors.
+ * @returns {object} { literal } or { path }.
+ */
+function parseArgument(part, location) {
+    if (/^"(?:[^"\\]|\\.)*"$|^'(?:[^'\\]|\\.)*'$/.test(part)) {
+        return { literal: part.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(part)) {
+        return { literal: Number(part) };
+    }
+    if (['true', 'false', 'null'].includes(part)) {
+        return { literal: JSON.parse(part) };
+    }
+    if (!/^(\.\.\/)*(this|\.|@\w+|[\w$-]+(\.[\w$-]+)*)$/.test(part)) {
+        throw templateError(`'${part}' is not a valid value`, location);
+    }
+    return { path: part };
+}
+
+/**
+ * Parses the inside of a tag: a value path, or a helper with its arguments.
+ * @param {string} content The tag content, e.g. 'currency net_amount'.
+ * @param {object} location Where it is, for errors.
+ * @returns {object} { path }, { literal } or { helper, args }.
+ */
+function parseExpression(content, location) {
+    const parts = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\S+/g) || [];
+    if (parts.length === 0) {
+        throw templateError('Empty tag', location);
+    }
+
+    const [head, ...args] = parts;
+    if (Object.prototype.hasOwnProperty.call(HELPERS, head)) {
+        return { helper: head, args: args.map(arg => parseArgument(arg, location)) };
+    }
+    if (args.length > 0) {
+        throw templateError(`Unknown helper '${head}' (use ${Object.keys(HELPERS).join(', ')})`, location);
+    }
+    return parseArgument(head, location);
+}
+
+/**
+ * Parses a template into a tree of text, value, block and partial nodes.
+ * @param {string} source The template.
+ * @param {string} template The template name, for errors.
+ * @returns {Array<object>} The nodes.
+ */
+function parse(source, template) {
+    const root = [];
+    const open = [];
+    let current = root;
+
+    for (const token of tokenize(source, template)) {
+        if (token.type === 'text') {
+            current.push(token);
+            continue;
+        }
+
+        const { content, location } = token;
+        if (token.raw) {
+            current.push({ type: 'value', expression: parseExpression(content, location), escape: false, location });
+        } else if (content.startsWith('!')) {
+            // {{! comment }}
+        } else if (content.startsWith('#')) {
+            const [, name, rest] = content.match(/^#(\S*)\s*([\s\S]*)$/);
+            if (!BLOCKS.includes(name)) {
+                throw templateError(`Unknown block '{{#${name}}}' (use ${BLOCKS.map(block => `#${block}`).join(', ')})`, location);
+            }
+            if (!rest) {
+                throw templateError(`'{{#${name}}}' needs a value`, location);
+            }
+            const block = { type: 'block', name, expression: parseExpression(rest, location), body: [], inverse: null, location };
+            current.push(block);
+            open.push(block);
+            current = block.body;
+        } else if (content.startsWith('/')) {
+            const name = content.slice(1).trim();
+            const block = open.pop();
+            if (!block) {
+                throw templateError(`'{{/${name}}}' has no matching '{{#${name}}}'`, location);
+            }
+            if (block.name !== name) {
+                throw templateError(`'{{/${name}}}' closes '{{#${block.name}}}' from line ${block.location.line}`, location);
+            }
+            const parent = open[open.length - 1];
+            current = !parent ? root : parent.inverse || parent.body;
+        } else if (content === 'else') {
+            const block = open[open.length - 1];
+            if (!block) {
+                throw templateError('\'{{else}}\' outside a block', location);
+            }
+            if (block.inverse) {
+                throw templateError(`'{{#${block.name}}}' from line ${block.location.line} has more than one '{{else}}'`, location);
+            }
+            block.inverse = [];
+            current = block.inverse;
+        } else if (content.startsWith('>')) {
+            const name = content.slice(1).trim();
+            if (!/^[\w-]+$/.test(name)) {
+                throw templateError(`'${name}' is not a valid partial name`, location);
+            }
+            current.push({ type: 'partial', name, location });
+        } else {
+            current.push({ type: 'value', expression: parseExpression(content, location), escape: true, location });
+        }
+    }
+
+    if (open.length > 0) {
+        const block = open[open.length - 1];
+        throw templateError(`'{{#${block.name}}}' is never closed with '{{/${block.name}}}'`, block.location);
+    }
+    return root;
+}
+
+/**
+ * Lists the partial nodes in a tree, including those inside blocks.
+ * @param {Array<object>} nodes The nodes.
+ * @returns {Array<object>} The partial nodes.
+ */
+function findPartials(nodes) {
+    return nodes.flatMap(node => {
+        if (node.type === 'partial') {
+            return [node];
+        }
+        if (node.type === 'block') {
+            return [...findPartials(node.body), ...findPartials(node.inverse || [])];
+        }
+        return [];
+    });
+}
+
+/**
+ * Loads and parses the partials a template uses, and the partials those use.
+ * @param {Array<object>} nodes The template's nodes.
+ * @param {string} partialsDir Where partials are kept, as <name>.html.
+ * @param {Map} partials The partials loaded so far, by name.
+ * @param {Array<string>} [chain] The partials being loaded, to catch a partial including itself.
+ */
+function loadPartials(nodes, partialsDir, partials, chain = []) {
+    for (const node of findPartials(nodes)) {
+        if (chain.includes(node.name) || chain.length >= MAX_PARTIAL_DEPTH) {
+            throw templateError(`Partial '${node.name}' includes itself (${[...chain, node.name].join(' > ')})`, node.location);
+        }
+        if (partials.has(node.name)) {
+            continue;
+        }
+
+        const partialPath = path.join(partialsDir, `${node.name}.html`);
+        if (!fs.existsSync(partialPath)) {
+            throw templateError(`Partial '${node.name}' not found at ${partialPath}`, node.location);
+        }
+        const partialNodes = parse(fs.readFileSync(partialPath, 'utf-8'), path.join(path.basename(partialsDir), `${node.name}.html`));
+        partials.set(node.name, partialNodes);
+        loadPartials(partialNodes, partialsDir, partials, [...chain, node.name]);
+    }
+}
+
+/**
+ * Parses a template and loads its partials, so every syntax error shows up
+ * before anything is rendered.
+ * @param {string} source The template.
+ * @param {object} options Compile options.
+ * @param {string} options.name The template name, for errors.
+ * @param {string} options.partialsDir Where partials are kept, as <name>.html.
+ * @returns {object} The compiled template ({ nodes, partials }), for render().
+ */
+function compile(source, { name, partialsDir }) {
+    const nodes = parse(source, name);
+    const partials = new Map();
+    loadPartials(nodes, partialsDir, partials);
+    return { nodes, partials };
+}
+
+/**
+ * Checks whether a value has a property of its own, so template paths never
+ * reach inherited properties such as 'constructor' or '__proto__'.
+ * @param {*} value The value.
+ * @param {string} key The property name.
+ * @returns {boolean} True if the value has the property itself.
+ */
+function hasOwn(value, key) {
+    return value !== undefined && value !== null && Object.prototype.hasOwnProperty.call(Object(value), key);
+}
+
+/**
+ * Looks up a value path in the scopes. A plain name is searched for from the
+ * innermost scope outwards (so an item's fields and the invoice fields are
+ * both reachable inside {{#each items}}); '../' starts one scope further out.
+ * @param {string} valuePath The path, e.g. 'name', 'customer.city', '../INVOICE_NUMBER' or '@index'.
+ * @param {Array<object>} scopes The scopes, outermost first: { value, data }.
+ * @returns {*} The value, or undefined if it is not there.
+ */
+function lookup(valuePath, scopes) {
+    let remaining = valuePath;
+    let depth = 0;
+    while (remaining.startsWith('../')) {
+        remaining = remaining.slice(3);
+        depth++;
+    }
+    const frameIndex = scopes.length - 1 - depth;
+    if (frameIndex < 0) {
+        return undefined;
+    }
+
+    const frame = scopes[frameIndex];
+    if (remaining === 'this' || remaining === '.') {
+        return frame.value;
+    }
+    if (remaining.startsWith('@')) {
+        return hasOwn(frame.data, remaining.slice(1)) ? frame.data[remaining.slice(1)] : undefined;
+    }
+
+    const walk = (value, segments) => segments.reduce((current, segment) => (hasOwn(current, segment) ? current[segment] : undefined), value);
+    const segments = remaining.split('.');
+    if (segments[0] === 'this') {
+        return walk(frame.value, segments.slice(1));
+    }
+    if (depth > 0) {
+        return walk(frame.value, segments);
+    }
+    for (let i = frameIndex; i >= 0; i--) {
+        const value = scopes[i].value;
+        if (value !== null && typeof value === 'object' && hasOwn(value, segments[0])) {
+            return walk(value, segments);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Evaluates a parsed expression.
+ * @param {object} expression The expression (see parseExpression).
+ * @param {Array<object>} scopes The scopes.
+ * @param {object} location Where it is, for errors.
+ * @returns {*} The value.
+ */
+function evaluate(expression, scopes, location) {
+    if ('literal' in expression) {
+        return expression.literal;
+    }
+    if (expression.path) {
+        return lookup(expression.path, scopes);
+    }
+    const args = expression.args.map(arg => evaluate(arg, scopes, location));
+    try {
+        return HELPERS[expression.helper](...args);
+    } catch (error) {
+        throw templateError(`Helper '${expression.helper}' failed: ${error.message}`, location);
+    }
+}
+
+/**
+ * Converts a value to HTML-safe text.
+ * @param {*} value The value.
+ * @returns {string} The escaped text; empty for null and undefined, '0' for 0.
+ */
+function escapeHtml(value) {
+    return toText(value).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Converts a value to text.
+ * @param {*} value The value.
+ * @returns {string} The text; empty for null and undefined.
+ */
+function toText(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Checks whether a block value counts as true: empty lists and empty strings do not.
+ * @param {*} value The value.
+ * @returns {boolean} True if the value counts as true.
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Renders the items of a list (or the entries of an object) for {{#each}}.
+ * @param {object} block The block node.
+ * @param {*} list The list.
+ * @param {Array<object>} scopes The scopes.
+ * @param {object} state The render state.
+ * @returns {string} The HTML, or null if there is nothing to iterate.
+ */
+function renderEach(block, list, scopes, state) {
+    const entries = Array.isArray(list)
+        ? list.map((item, index) => [index, item])
+        : list !== null && typeof list === 'object' ? Object.entries(list) : [];
+    if (entries.length === 0) {
+        return null;
+    }
+
+    return entries.map(([key, item], index) => renderNodes(block.body, [...scopes, {
+        value: item,
+        data: { index, key, first: index === 0, last: index === entries.length - 1 }
+    }], state)).join('');
+}
+
+/**
+ * Renders nodes to HTML.
+ * @param {Array<object>} nodes The nodes.
+ * @param {Array<object>} scopes The scopes.
+ * @param {object} state The render state: { partials, missing }.
+ * @returns {string} The HTML.
+ */
+function renderNodes(nodes, scopes, state) {
+    let html = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            html += node.value;
+        } else if (node.type === 'value') {
+            const value = evaluate(node.expression, scopes, node.location);
+            if (value === undefined && node.expression.path) {
+                state.missing.add(node.expression.path);
+            }
+            html += node.escape ? escapeHtml(value) : toText(value);
+        } else if (node.type === 'partial') {
+            html += renderNodes(state.partials.get(node.name), scopes, state);
+        } else {
+            html += renderBlock(node, scopes, state);
+        }
+    }
+    return html;
+}
+
+/**
+ * Renders a block node.
+ * @param {object} block The block node.
+ * @param {Array<object>} scopes The scopes.
+ * @param {object} state The render state.
+ * @returns {string} The HTML.
+ */
+function renderBlock(block, scopes, state) {
+    const value = evaluate(block.expression, scopes, block.location);
+    const inverse = () => (block.inverse ? renderNodes(block.inverse, scopes, state) : '');
+
+    if (block.name === 'each') {
+        const html = renderEach(block, value, scopes, state);
+        return html === null ? inverse() : html;
+    }
+    if (block.name === 'with') {
+        return isTruthy(value) ? renderNodes(block.body, [...scopes, { value }], state) : inverse();
+    }
+    const show = block.name === 'if' ? isTruthy(value) : !isTruthy(value);
+    return show ? renderNodes(block.body, scopes, state) : inverse();
+}
+
+/**
+ * Renders a compiled template. Values are HTML-escaped unless the tag uses
+ * triple braces ({{{value}}}).
+ * @param {object} compiled The compiled template (see compile).
+ * @param {object} data The template data.
+ * @returns {{html: string, missing: Array<string>}} The HTML, and the value paths that had no data.
+ */
+function render(compiled, data) {
+    const state = { partials: compiled.partials, missing: new Set() };
+    const html = renderNodes(compiled.nodes, [{ value: data }], state);
+    return { html, missing: Array.from(state.missing) };
+}
+
+module.exports = {
+    HELPERS,
+    compile,
+    render,
+    escapeHtml,
+};
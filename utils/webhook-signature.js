@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * Computes the Squarespace webhook signature for a notification body.
+ * Squarespace signs the raw body with HMAC-SHA256, using the hex-decoded
+ * subscription secret as the key, and sends the hex digest in the
+ * Squarespace-Signature header.
+ * @param {string} secret The subscription secret (hex encoded).
+ * @param {Buffer|string} rawBody The raw request body.
+ * @returns {string} The hex encoded signature.
+ */
+function computeSignature(secret, rawBody) {
+    return crypto
+        .createHmac('sha256', Buffer.from(secret, 'hex'))
+        .update(rawBody)
+        .digest('hex');
+}
+
+/**
+ * Verifies a Squarespace webhook signature in constant time.
+ * @param {string} secret The subscription secret (hex encoded).
+ * @param {Buffer|string} rawBody The raw request body.
+ * @param {string} signature The value of the Squarespace-Signature header.
+ * @returns {boolean} True if the signature matches.
+ */
+function verifySignature(secret, rawBody, signature) {
+    if (!secret || !signature || typeof signature !== 'string') {
+        return false;
+    }
+
+    // Buffer.from(..., 'hex') stops at the first non-hex character, so check the format first
+    const trimmed = signature.trim();
+    if (!/^[0-9a-f]{64}$/i.test(trimmed)) {
+        return false;
+    }
+
+    const expected = Buffer.from(computeSignature(secret, rawBody), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(trimmed, 'hex'));
+}
+
+module.exports = {
+    computeSignature,
+    verifySignature
+};